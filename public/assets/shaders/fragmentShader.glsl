@@ -1,5 +1,6 @@
 // Basic Fragment Shader
-varying vec3 vNormal;
+#include <varyings>
+
 void main() {
     gl_FragColor = vec4(abs(vNormal), 1.0);
-}
\ No newline at end of file
+}
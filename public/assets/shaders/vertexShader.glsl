@@ -1,11 +1,7 @@
-### Example Shader Files
-
-#### `shaders/vertexShader.glsl`
-
-```glsl
 // Basic Vertex Shader
-varying vec3 vNormal;
+#include <varyings>
+
 void main() {
-    vNormal = normalize(normalMatrix * normal);
-    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-}
\ No newline at end of file
+    vec3 transformed = position;
+    #include <varyings_vertex>
+}
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { watchShaderMaterial } from '../utils/shaderErrors.js';
+import { getDefaultShaderLibrary } from '../utils/shaderLibrary.js';
 
 /**
  * Basic Material
@@ -52,9 +54,12 @@ export function toonMaterial(color = 0xffffff) {
 /**
  * Custom Shader Material
  * A material that allows for custom vertex and fragment shaders, enabling more advanced and unique effects.
+ * If the shaders fail to compile, the error is reported against the original files (for shaders
+ * from loadCustomShader) and the material shows the error shader. Shaders from loadCustomShader
+ * are also swapped in when their files change.
  */
 export function customShaderMaterial(vertexShader, fragmentShader, uniforms = {}) {
-    return new THREE.ShaderMaterial({
+    const material = watchShaderMaterial(new THREE.ShaderMaterial({
         vertexShader,
         fragmentShader,
         uniforms: {
@@ -62,7 +67,8 @@ export function customShaderMaterial(vertexShader, fragmentShader, uniforms = {}
             time: { value: 0.0 }, // Example uniform
         },
         side: THREE.DoubleSide, // Ensures the material is visible from both sides
-    });
+    }));
+    return getDefaultShaderLibrary().track(material);
 }
 
 /**
@@ -1,7 +1,10 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
-import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import {
+    loadGLTFModel as loadGLTF,
+    loadOBJModel as loadOBJ,
+    loadFBXModel as loadFBX,
+    loadCubeTexture
+} from '../utils/loader.js';
 
 /**
  * Create a basic cube
@@ -71,44 +74,41 @@ export function createPyramid(size = 1, material = new THREE.MeshBasicMaterial({
 
 /**
  * Load a GLTF model
+ * Delegates to utils/loader.js, so loads share the asset manager's cache.
  * @param {string} url - The URL of the GLTF model
  * @param {function} onLoad - Callback function to execute when model is loaded
  * @param {function} onProgress - Callback function to track loading progress
  * @param {function} onError - Callback function to handle errors during loading
+ * @returns {Promise<THREE.Group>} - The loaded model
  */
 export function loadGLTFModel(url, onLoad, onProgress = undefined, onError = undefined) {
-    const loader = new GLTFLoader();
-    loader.load(url, (gltf) => {
-        onLoad(gltf.scene);
-    }, onProgress, onError);
+    return loadGLTF(url, onLoad, onProgress, onError);
 }
 
 /**
  * Load an OBJ model
+ * Delegates to utils/loader.js, so loads share the asset manager's cache.
  * @param {string} url - The URL of the OBJ model
  * @param {function} onLoad - Callback function to execute when model is loaded
  * @param {function} onProgress - Callback function to track loading progress
  * @param {function} onError - Callback function to handle errors during loading
+ * @returns {Promise<THREE.Group>} - The loaded model
  */
 export function loadOBJModel(url, onLoad, onProgress = undefined, onError = undefined) {
-    const loader = new OBJLoader();
-    loader.load(url, (obj) => {
-        onLoad(obj);
-    }, onProgress, onError);
+    return loadOBJ(url, onLoad, onProgress, onError);
 }
 
 /**
  * Load an FBX model
+ * Delegates to utils/loader.js, so loads share the asset manager's cache.
  * @param {string} url - The URL of the FBX model
  * @param {function} onLoad - Callback function to execute when model is loaded
  * @param {function} onProgress - Callback function to track loading progress
  * @param {function} onError - Callback function to handle errors during loading
+ * @returns {Promise<THREE.Group>} - The loaded model
  */
 export function loadFBXModel(url, onLoad, onProgress = undefined, onError = undefined) {
-    const loader = new FBXLoader();
-    loader.load(url, (fbx) => {
-        onLoad(fbx);
-    }, onProgress, onError);
+    return loadFBX(url, onLoad, onProgress, onError);
 }
 
 /**
@@ -161,8 +161,7 @@ export function createLine(points = [], material = new THREE.LineBasicMaterial({
  * @returns {THREE.Mesh} - The created skybox mesh
  */
 export function createSkybox(urls = []) {
-    const loader = new THREE.CubeTextureLoader();
-    const texture = loader.load(urls);
+    const texture = loadCubeTexture(urls);
     const material = new THREE.MeshBasicMaterial({ envMap: texture, side: THREE.BackSide });
     const geometry = new THREE.BoxGeometry(100, 100, 100);
     const skybox = new THREE.Mesh(geometry, material);
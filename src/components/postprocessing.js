@@ -1,11 +1,42 @@
 import * as THREE from 'three';
+import { PHASES, getDefaultScheduler } from '../core/scheduler.js';
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { Pass } from 'three/examples/jsm/postprocessing/Pass.js';
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { BloomPass } from 'three/examples/jsm/postprocessing/BloomPass.js';
 import { FilmPass } from 'three/examples/jsm/postprocessing/FilmPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { SSAOPass } from 'three/examples/jsm/postprocessing/SSAOPass.js';
+import { SAOPass } from 'three/examples/jsm/postprocessing/SAOPass.js';
+import { BokehPass } from 'three/examples/jsm/postprocessing/BokehPass.js';
+import { OutlinePass } from 'three/examples/jsm/postprocessing/OutlinePass.js';
+import { LUTPass } from 'three/examples/jsm/postprocessing/LUTPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { CopyShader } from 'three/examples/jsm/shaders/CopyShader.js';
 import { FXAAShader } from 'three/examples/jsm/shaders/FXAAShader.js';
+import { VignetteShader } from 'three/examples/jsm/shaders/VignetteShader.js';
+import { RGBShiftShader } from 'three/examples/jsm/shaders/RGBShiftShader.js';
+import { LUTCubeLoader } from 'three/examples/jsm/loaders/LUTCubeLoader.js';
+import { getDefaultAssetManager } from '../utils/assets.js';
+import { reportError } from '../utils/errorOverlay.js';
+
+// FXAA samples in texel units, so its resolution uniform has to follow the drawing buffer size
+const fxaaPasses = new WeakSet();
+
+function createFXAAPass(width, height) {
+    const fxaaPass = new ShaderPass(FXAAShader);
+    fxaaPass.material.uniforms['resolution'].value.set(1 / width, 1 / height);
+    fxaaPasses.add(fxaaPass);
+    return fxaaPass;
+}
+
+// Size-dependent uniforms not covered by Pass.setSize; width and height are in device pixels
+function resizePass(pass, width, height) {
+    if (fxaaPasses.has(pass)) {
+        pass.material.uniforms['resolution'].value.set(1 / width, 1 / height);
+    }
+}
 
 /**
  * Initialize the EffectComposer and add basic passes
@@ -31,10 +62,12 @@ export function initComposer(renderer, scene, camera) {
  * @param {number} kernelSize - Size of the kernel used in the bloom
  * @param {number} sigma - Sigma value for the Gaussian blur
  * @param {number} resolution - Resolution of the bloom pass
+ * @returns {BloomPass} - The added pass
  */
 export function addBloomPass(composer, strength = 1.5, kernelSize = 25, sigma = 4.0, resolution = 256) {
     const bloomPass = new BloomPass(strength, kernelSize, sigma, resolution);
     composer.addPass(bloomPass);
+    return bloomPass;
 }
 
 /**
@@ -43,33 +76,455 @@ export function addBloomPass(composer, strength = 1.5, kernelSize = 25, sigma =
  * @param {number} strength - Bloom strength
  * @param {number} radius - Bloom radius
  * @param {number} threshold - Bloom threshold
+ * @returns {UnrealBloomPass} - The added pass
  */
 export function addUnrealBloomPass(composer, strength = 1.5, radius = 0.4, threshold = 0.85) {
     const bloomPass = new UnrealBloomPass(new THREE.Vector2(window.innerWidth, window.innerHeight), strength, radius, threshold);
     composer.addPass(bloomPass);
+    return bloomPass;
+}
+
+/**
+ * Bloom Layer
+ * The layer that marks an object as a bloom emitter for the selective bloom pass. Cameras do not
+ * need to see it; it is only a flag.
+ */
+export const BLOOM_LAYER = 1;
+
+/**
+ * Set Whether an Object Glows
+ * Marks or unmarks an object (and by default its descendants) as a bloom emitter for the selective bloom pass.
+ * @param {THREE.Object3D} object - The object
+ * @param {boolean} enabled - Whether it glows (default: true)
+ * @param {boolean} recursive - Whether to apply it to the descendants too (default: true)
+ * @returns {THREE.Object3D} - The object
+ */
+export function setBloom(object, enabled = true, recursive = true) {
+    const apply = (child) => {
+        if (enabled) child.layers.enable(BLOOM_LAYER);
+        else child.layers.disable(BLOOM_LAYER);
+    };
+    if (recursive) object.traverse(apply);
+    else apply(object);
+    return object;
+}
+
+/**
+ * Check Whether an Object Glows
+ * @param {THREE.Object3D} object - The object
+ * @returns {boolean} - Whether it is marked as a bloom emitter
+ */
+export function isBloomEnabled(object) {
+    return object.layers.isEnabled(BLOOM_LAYER);
+}
+
+const BLOOM_MIX_SHADER = {
+    uniforms: {
+        baseTexture: { value: null },
+        bloomTexture: { value: null }
+    },
+    vertexShader: /* glsl */`
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: /* glsl */`
+        uniform sampler2D baseTexture;
+        uniform sampler2D bloomTexture;
+        varying vec2 vUv;
+        void main() {
+            gl_FragColor = texture2D(baseTexture, vUv) + vec4(1.0) * texture2D(bloomTexture, vUv);
+        }
+    `
+};
+
+/**
+ * Create a Selective Bloom Pass
+ * Blooms only the objects marked with setBloom. The pass renders the scene a second time with every
+ * other object blacked out (and the background removed), blurs that with an UnrealBloomPass, and
+ * adds the glow on top of the frame coming from the previous passes.
+ * The bloom settings are live on pass.bloomPass (strength, radius, threshold).
+ * @param {THREE.WebGLRenderer} renderer - The WebGL renderer instance
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera} camera - The Three.js camera
+ * @param {number} strength - Bloom strength
+ * @param {number} radius - Bloom radius
+ * @param {number} threshold - Bloom threshold; 0 makes every emitter glow regardless of its brightness
+ * @returns {Pass} - The pass
+ */
+export function createSelectiveBloomPass(renderer, scene, camera, strength = 1.5, radius = 0.4, threshold = 0) {
+    const drawingSize = renderer.getDrawingBufferSize(new THREE.Vector2());
+
+    // Works in device pixels like every pass, so its own composer ignores the pixel ratio
+    const bloomComposer = new EffectComposer(renderer);
+    bloomComposer.renderToScreen = false;
+    bloomComposer.setPixelRatio(1);
+    bloomComposer.setSize(drawingSize.x, drawingSize.y);
+    const renderPass = new RenderPass(scene, camera);
+    bloomComposer.addPass(renderPass);
+    const bloomPass = new UnrealBloomPass(drawingSize.clone(), strength, radius, threshold);
+    bloomComposer.addPass(bloomPass);
+
+    const mixPass = new ShaderPass(new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.clone(BLOOM_MIX_SHADER.uniforms),
+        vertexShader: BLOOM_MIX_SHADER.vertexShader,
+        fragmentShader: BLOOM_MIX_SHADER.fragmentShader
+    }), 'baseTexture');
+
+    const darkMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
+    const hidden = new Map();
+
+    function darkenNonEmitters() {
+        scene.traverseVisible((object) => {
+            if (isBloomEnabled(object)) return;
+            if (object.isMesh) {
+                hidden.set(object, { material: object.material });
+                object.material = darkMaterial;
+            } else if (object.isPoints || object.isLine || object.isSprite) {
+                hidden.set(object, { visible: true });
+                object.visible = false;
+            }
+        });
+        hidden.set(scene, { background: scene.background });
+        scene.background = null;
+    }
+
+    function restore() {
+        hidden.forEach((state, object) => {
+            if (state.material) object.material = state.material;
+            if (state.visible) object.visible = true;
+            if (state.background !== undefined) object.background = state.background;
+        });
+        hidden.clear();
+    }
+
+    const pass = Object.assign(new Pass(), {
+        bloomPass,
+        bloomComposer,
+
+        render(passRenderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+            darkenNonEmitters();
+            try {
+                bloomComposer.render(deltaTime);
+            } finally {
+                restore();
+            }
+            mixPass.uniforms.bloomTexture.value = bloomComposer.renderTarget2.texture;
+            mixPass.renderToScreen = pass.renderToScreen;
+            mixPass.render(passRenderer, writeBuffer, readBuffer, deltaTime, maskActive);
+        },
+
+        setSize(width, height) {
+            bloomComposer.setSize(width, height);
+        },
+
+        dispose() {
+            bloomComposer.dispose();
+            bloomPass.dispose();
+            mixPass.dispose();
+            darkMaterial.dispose();
+        }
+    });
+
+    // Like the composer's own passes, so a camera switch (e.g. by the camera rig) reaches the glow
+    Object.defineProperty(pass, 'camera', {
+        get: () => renderPass.camera,
+        set: (value) => {
+            renderPass.camera = value;
+        },
+        enumerable: true
+    });
+
+    return pass;
+}
+
+/**
+ * Add a selective bloom pass
+ * Like addUnrealBloomPass, but only objects marked with setBloom glow.
+ * @param {EffectComposer} composer - The EffectComposer instance
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera} camera - The Three.js camera
+ * @param {number} strength - Bloom strength
+ * @param {number} radius - Bloom radius
+ * @param {number} threshold - Bloom threshold
+ * @returns {Pass} - The added pass
+ */
+export function addSelectiveBloomPass(composer, scene, camera, strength = 1.5, radius = 0.4, threshold = 0) {
+    const selectiveBloomPass = createSelectiveBloomPass(composer.renderer, scene, camera, strength, radius, threshold);
+    composer.addPass(selectiveBloomPass);
+    return selectiveBloomPass;
 }
 
 /**
  * Add a FilmPass for a cinematic effect
  * @param {EffectComposer} composer - The EffectComposer instance
  * @param {number} noiseIntensity - Intensity of the noise
- * @param {number} scanlineIntensity - Intensity of the scanlines
- * @param {number} scanlineCount - Number of scanlines
+ * @param {number} scanlineIntensity - Unused, kept for compatibility
+ * @param {number} scanlineCount - Unused, kept for compatibility
  * @param {boolean} grayscale - Whether to render in grayscale
+ * @returns {FilmPass} - The added pass
  */
 export function addFilmPass(composer, noiseIntensity = 0.5, scanlineIntensity = 0.05, scanlineCount = 4096, grayscale = false) {
-    const filmPass = new FilmPass(noiseIntensity, scanlineIntensity, scanlineCount, grayscale);
+    // FilmPass has dropped its scanlines and only takes (intensity, grayscale); the scanline arguments are kept for compatibility
+    const filmPass = new FilmPass(noiseIntensity, grayscale);
     composer.addPass(filmPass);
+    return filmPass;
 }
 
 /**
  * Add an FXAA pass for anti-aliasing
  * @param {EffectComposer} composer - The EffectComposer instance
+ * @returns {ShaderPass} - The added pass
  */
 export function addFXAAPass(composer) {
-    const fxaaPass = new ShaderPass(FXAAShader);
-    fxaaPass.material.uniforms['resolution'].value.set(1 / window.innerWidth, 1 / window.innerHeight);
+    const pixelRatio = composer.renderer.getPixelRatio();
+    const fxaaPass = createFXAAPass(window.innerWidth * pixelRatio, window.innerHeight * pixelRatio);
     composer.addPass(fxaaPass);
+    return fxaaPass;
+}
+
+/**
+ * Add an SSAOPass for screen space ambient occlusion
+ * Darkens creases and contact areas. Distances are in view-space units of the scene.
+ * @param {EffectComposer} composer - The EffectComposer instance
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera} camera - The Three.js camera
+ * @param {number} kernelRadius - Sampling radius around each pixel
+ * @param {number} minDistance - Minimum depth difference that counts as occlusion
+ * @param {number} maxDistance - Maximum depth difference that counts as occlusion
+ * @returns {SSAOPass} - The added pass
+ */
+export function addSSAOPass(composer, scene, camera, kernelRadius = 8, minDistance = 0.005, maxDistance = 0.1) {
+    const ssaoPass = new SSAOPass(scene, camera, window.innerWidth, window.innerHeight);
+    ssaoPass.kernelRadius = kernelRadius;
+    ssaoPass.minDistance = minDistance;
+    ssaoPass.maxDistance = maxDistance;
+    composer.addPass(ssaoPass);
+    return ssaoPass;
+}
+
+/**
+ * Add a SAOPass for scalable ambient occlusion
+ * A cheaper ambient occlusion than SSAO that suits large scenes.
+ * @param {EffectComposer} composer - The EffectComposer instance
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera} camera - The Three.js camera
+ * @param {Object} params - Overrides for SAOPass.params, e.g. saoIntensity, saoScale, saoKernelRadius, saoBias, saoBlur
+ * @returns {SAOPass} - The added pass
+ */
+export function addSAOPass(composer, scene, camera, params = {}) {
+    const saoPass = new SAOPass(scene, camera);
+    Object.assign(saoPass.params, { saoIntensity: 0.02, saoScale: 10, saoKernelRadius: 40 }, params);
+    composer.addPass(saoPass);
+    return saoPass;
+}
+
+/**
+ * Add a BokehPass for depth of field
+ * Blurs what is in front of or behind the focus distance, like a camera lens.
+ * @param {EffectComposer} composer - The EffectComposer instance
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera} camera - The Three.js camera
+ * @param {number} focus - Distance from the camera that is in focus
+ * @param {number} aperture - Lens aperture; larger values blur more outside the focus distance
+ * @param {number} maxblur - Upper limit of the blur
+ * @returns {BokehPass} - The added pass
+ */
+export function addBokehPass(composer, scene, camera, focus = 10, aperture = 0.025, maxblur = 0.01) {
+    const bokehPass = new BokehPass(scene, camera, { focus, aperture, maxblur });
+    composer.addPass(bokehPass);
+    return bokehPass;
+}
+
+/**
+ * Create a Depth of Field Autofocus
+ * Keeps a BokehPass focused on an object, easing the focus distance towards it every frame. The
+ * target can be set directly or follow the selection of an interaction manager, so clicking an
+ * object focuses on it.
+ * @param {BokehPass} bokehPass - The pass to focus
+ * @param {THREE.Camera} camera - The camera the pass renders with
+ * @param {Object} options - Autofocus options
+ * @param {THREE.Object3D} options.target - The object to focus on (default: none, the focus stays where it is)
+ * @param {Object} options.interaction - Interaction manager whose last selected object becomes the target
+ * @param {number} options.speed - How fast the focus follows, per second; Infinity snaps (default: 5)
+ * @param {Object|null} options.scheduler - Scheduler that updates the focus; null to call update() yourself (default: the shared scheduler)
+ * @returns {Object} - The autofocus with setTarget, getTarget, update and dispose
+ */
+export function createBokehAutofocus(bokehPass, camera, options = {}) {
+    const { interaction = null, speed = 5 } = options;
+    const scheduler = options.scheduler === undefined ? getDefaultScheduler() : options.scheduler;
+    const position = new THREE.Vector3();
+    let target = options.target || null;
+
+    function onSelectionChange(event) {
+        if (event.selection.length > 0) target = event.selection[event.selection.length - 1];
+    }
+
+    const autofocus = {
+        setTarget(object) {
+            target = object;
+            return autofocus;
+        },
+
+        getTarget: () => target,
+
+        update(delta) {
+            if (!target) return;
+            // Focus is a distance along the view direction, not to the object
+            target.getWorldPosition(position).applyMatrix4(camera.matrixWorldInverse);
+            const distance = Math.max(-position.z, camera.near);
+            const focus = bokehPass.uniforms.focus;
+            focus.value += (distance - focus.value) * (speed === Infinity ? 1 : 1 - Math.exp(-speed * delta));
+        },
+
+        dispose() {
+            if (removeUpdate) removeUpdate();
+            if (interaction) interaction.removeEventListener('selectionchange', onSelectionChange);
+        }
+    };
+
+    if (interaction) interaction.addEventListener('selectionchange', onSelectionChange);
+    const removeUpdate = scheduler ? scheduler.add(autofocus.update, { phase: PHASES.ANIMATION }) : null;
+
+    return autofocus;
+}
+
+/**
+ * Add an OutlinePass for selection outlines
+ * Draws an outline around the objects in selectedObjects; the parts hidden behind other objects
+ * get their own colour.
+ * @param {EffectComposer} composer - The EffectComposer instance
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera} camera - The Three.js camera
+ * @param {Array<THREE.Object3D>} selectedObjects - The objects to outline
+ * @param {Object} options - Outline options: edgeStrength (3), edgeThickness (1), edgeGlow (0), pulsePeriod in seconds (0, no pulse), visibleEdgeColor (0xffffff) and hiddenEdgeColor (0x190a05)
+ * @returns {OutlinePass} - The added pass
+ */
+export function addOutlinePass(composer, scene, camera, selectedObjects = [], options = {}) {
+    const outlinePass = new OutlinePass(new THREE.Vector2(window.innerWidth, window.innerHeight), scene, camera, selectedObjects);
+    outlinePass.edgeStrength = options.edgeStrength !== undefined ? options.edgeStrength : 3;
+    outlinePass.edgeThickness = options.edgeThickness !== undefined ? options.edgeThickness : 1;
+    outlinePass.edgeGlow = options.edgeGlow || 0;
+    outlinePass.pulsePeriod = options.pulsePeriod || 0;
+    outlinePass.visibleEdgeColor.set(options.visibleEdgeColor !== undefined ? options.visibleEdgeColor : 0xffffff);
+    outlinePass.hiddenEdgeColor.set(options.hiddenEdgeColor !== undefined ? options.hiddenEdgeColor : 0x190a05);
+    composer.addPass(outlinePass);
+    return outlinePass;
+}
+
+/**
+ * Outline the Selection
+ * Keeps an OutlinePass outlining whatever an interaction manager has selected.
+ * @param {OutlinePass} outlinePass - The outline pass
+ * @param {Object} interaction - The interaction manager created with createInteractionManager
+ * @returns {function} - Call to stop following the selection
+ */
+export function bindOutlineToSelection(outlinePass, interaction) {
+    const onSelectionChange = (event) => {
+        outlinePass.selectedObjects = event.selection;
+    };
+    interaction.addEventListener('selectionchange', onSelectionChange);
+    outlinePass.selectedObjects = Array.from(interaction.selection);
+    return () => interaction.removeEventListener('selectionchange', onSelectionChange);
+}
+
+/**
+ * Load a .cube LUT
+ * Loads an Adobe/Resolve .cube colour lookup table through the shared asset manager.
+ * @param {string} url - The URL of the .cube file
+ * @returns {Promise<{title: string, size: number, texture3D: THREE.Data3DTexture}>} - The parsed LUT
+ */
+export function loadCubeLUT(url) {
+    return getDefaultAssetManager().load(url, { type: 'text' }).then(text => new LUTCubeLoader().parse(text));
+}
+
+// Until the table has loaded the pass copies its input through unchanged, rather than being
+// disabled, so switching it on or off meanwhile sticks and a saved preset keeps that state
+function loadLUTIntoPass(lutPass, url) {
+    const copyPass = new ShaderPass(CopyShader);
+    lutPass.render = (renderer, writeBuffer, readBuffer, deltaTime, maskActive) => {
+        copyPass.renderToScreen = lutPass.renderToScreen;
+        copyPass.render(renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+    };
+    loadCubeLUT(url).then((result) => {
+        lutPass.lut = result.texture3D;
+        delete lutPass.render;
+        copyPass.dispose();
+    }, (error) => {
+        reportError(error, { title: `Error loading the LUT "${url}"` });
+    });
+}
+
+/**
+ * Add a LUTPass for colour grading
+ * Maps every colour through a 3D lookup table. Given a URL, the pass leaves the colours unchanged
+ * until the .cube file has loaded.
+ * @param {EffectComposer} composer - The EffectComposer instance
+ * @param {string|THREE.Data3DTexture} lut - The URL of a .cube file, or a 3D LUT texture
+ * @param {number} intensity - Blend between the original (0) and the graded colours (1)
+ * @returns {LUTPass} - The added pass
+ */
+export function addLUTPass(composer, lut, intensity = 1) {
+    const lutPass = new LUTPass({ intensity });
+    if (typeof lut === 'string') {
+        loadLUTIntoPass(lutPass, lut);
+    } else if (lut) {
+        lutPass.lut = lut;
+    }
+    composer.addPass(lutPass);
+    return lutPass;
+}
+
+/**
+ * Add a tone mapping pass
+ * Applies tone mapping and the conversion to the output colour space at the end of the chain; the
+ * passes before it work in linear HDR. Sets the renderer's toneMapping and toneMappingExposure,
+ * which the pass reads every frame.
+ * @param {EffectComposer} composer - The EffectComposer instance
+ * @param {THREE.ToneMapping} toneMapping - The tone mapping operator, e.g. THREE.ACESFilmicToneMapping or THREE.AgXToneMapping
+ * @param {number} exposure - Exposure applied before tone mapping
+ * @returns {OutputPass} - The added pass
+ */
+export function addToneMappingPass(composer, toneMapping = THREE.ACESFilmicToneMapping, exposure = 1) {
+    composer.renderer.toneMapping = toneMapping;
+    composer.renderer.toneMappingExposure = exposure;
+    const outputPass = new OutputPass();
+    composer.addPass(outputPass);
+    return outputPass;
+}
+
+/**
+ * Add a vignette pass
+ * Darkens the corners of the image.
+ * @param {EffectComposer} composer - The EffectComposer instance
+ * @param {number} offset - How far the vignette reaches into the image
+ * @param {number} darkness - How dark the corners get
+ * @returns {ShaderPass} - The added pass
+ */
+export function addVignettePass(composer, offset = 1, darkness = 1) {
+    const vignettePass = new ShaderPass(VignetteShader);
+    vignettePass.uniforms['offset'].value = offset;
+    vignettePass.uniforms['darkness'].value = darkness;
+    composer.addPass(vignettePass);
+    return vignettePass;
+}
+
+/**
+ * Add a chromatic aberration pass
+ * Shifts the red and blue channels apart, like a cheap lens.
+ * @param {EffectComposer} composer - The EffectComposer instance
+ * @param {number} amount - Distance of the shift as a fraction of the image size
+ * @param {number} angle - Direction of the shift in radians
+ * @returns {ShaderPass} - The added pass
+ */
+export function addChromaticAberrationPass(composer, amount = 0.0015, angle = 0) {
+    const aberrationPass = new ShaderPass(RGBShiftShader);
+    aberrationPass.uniforms['amount'].value = amount;
+    aberrationPass.uniforms['angle'].value = angle;
+    composer.addPass(aberrationPass);
+    return aberrationPass;
 }
 
 /**
@@ -84,6 +539,8 @@ export function addCustomShaderPass(composer, shaderMaterial) {
 
 /**
  * Resize the composer when the window is resized
+ * Resizes the renderer, the composer and its passes (bloom render targets, the FXAA resolution),
+ * and follows changes of the renderer's pixel ratio.
  * @param {EffectComposer} composer - The EffectComposer instance
  * @param {THREE.WebGLRenderer} renderer - The WebGL renderer instance
  */
@@ -91,8 +548,11 @@ export function onWindowResize(composer, renderer) {
     window.addEventListener('resize', () => {
         const width = window.innerWidth;
         const height = window.innerHeight;
+        const pixelRatio = renderer.getPixelRatio();
         renderer.setSize(width, height);
+        composer.setPixelRatio(pixelRatio);
         composer.setSize(width, height);
+        composer.passes.forEach(pass => resizePass(pass, width * pixelRatio, height * pixelRatio));
     });
 }
 
@@ -100,14 +560,543 @@ export function onWindowResize(composer, renderer) {
  * Render loop with post-processing
  * @param {EffectComposer} composer - The EffectComposer instance
  * @param {function} customRender - Optional custom render function
+ * @param {Object} scheduler - The scheduler to render on (default: the shared scheduler)
+ * @returns {function} - Call to stop rendering
  */
-export function renderWithComposer(composer, customRender) {
-    function render() {
+export function renderWithComposer(composer, customRender, scheduler = getDefaultScheduler()) {
+    return scheduler.add((delta) => {
         if (customRender) {
             customRender();
         }
-        composer.render();
-        requestAnimationFrame(render);
+        composer.render(delta);
+    }, { phase: PHASES.RENDER });
+}
+function propertyParam(key, value, min, max, step) {
+    return { value, min, max, step, get: pass => pass[key], set: (pass, newValue) => { pass[key] = newValue; } };
+}
+
+function uniformParam(key, value, min, max, step) {
+    return { value, min, max, step, get: pass => pass.uniforms[key].value, set: (pass, newValue) => { pass.uniforms[key].value = newValue; } };
+}
+
+function saoParam(key, value, min, max, step) {
+    return { value, min, max, step, get: pass => pass.params[key], set: (pass, newValue) => { pass.params[key] = newValue; } };
+}
+
+function bloomParam(key, value, min, max, step) {
+    return { value, min, max, step, get: pass => pass.bloomPass[key], set: (pass, newValue) => { pass.bloomPass[key] = newValue; } };
+}
+
+function colorParam(key, value) {
+    return { value, color: true, get: pass => pass[key].getHex(), set: (pass, newValue) => { pass[key].set(newValue); } };
+}
+
+function shaderPass(shader, params) {
+    const pass = new ShaderPass(shader);
+    Object.keys(params).forEach((key) => {
+        pass.uniforms[key].value = params[key];
+    });
+    return pass;
+}
+
+/**
+ * Pass Types
+ * The passes a pipeline can create by name. params lists the settings of each pass: live ones have
+ * a getter and setter (and a range, a colour flag or a list of options for the GUI), the others are
+ * only read when the pass is created. create gets the settings and { renderer, scene, camera, width,
+ * height }, with the size in device pixels.
+ */
+const PASS_TYPES = {
+    bloom: {
+        create: params => new BloomPass(params.strength, params.kernelSize, params.sigma),
+        params: {
+            strength: {
+                value: 1.5, min: 0, max: 5, step: 0.01,
+                get: pass => pass.combineUniforms.strength.value,
+                set: (pass, value) => { pass.combineUniforms.strength.value = value; }
+            },
+            kernelSize: { value: 25 },
+            sigma: { value: 4 }
+        }
+    },
+    unrealBloom: {
+        create: (params, { width, height }) => new UnrealBloomPass(new THREE.Vector2(width, height), params.strength, params.radius, params.threshold),
+        params: {
+            strength: { value: 1.5, min: 0, max: 5, step: 0.01, get: pass => pass.strength, set: (pass, value) => { pass.strength = value; } },
+            radius: { value: 0.4, min: 0, max: 1, step: 0.01, get: pass => pass.radius, set: (pass, value) => { pass.radius = value; } },
+            threshold: { value: 0.85, min: 0, max: 1, step: 0.01, get: pass => pass.threshold, set: (pass, value) => { pass.threshold = value; } }
+        }
+    },
+    film: {
+        create: params => new FilmPass(params.intensity, params.grayscale),
+        params: {
+            intensity: {
+                value: 0.5, min: 0, max: 1, step: 0.01,
+                get: pass => pass.uniforms.intensity.value,
+                set: (pass, value) => { pass.uniforms.intensity.value = value; }
+            },
+            grayscale: {
+                value: false,
+                get: pass => pass.uniforms.grayscale.value,
+                set: (pass, value) => { pass.uniforms.grayscale.value = value; }
+            }
+        }
+    },
+    selectiveBloom: {
+        create: (params, { renderer, scene, camera }) => createSelectiveBloomPass(renderer, scene, camera, params.strength, params.radius, params.threshold),
+        params: {
+            strength: bloomParam('strength', 1.5, 0, 5, 0.01),
+            radius: bloomParam('radius', 0.4, 0, 1, 0.01),
+            threshold: bloomParam('threshold', 0, 0, 1, 0.01)
+        }
+    },
+    fxaa: {
+        create: (params, { width, height }) => createFXAAPass(width, height),
+        params: {}
+    },
+    ssao: {
+        create: (params, { scene, camera, width, height }) => {
+            const pass = new SSAOPass(scene, camera, width, height, params.kernelSize);
+            Object.assign(pass, { kernelRadius: params.kernelRadius, minDistance: params.minDistance, maxDistance: params.maxDistance });
+            return pass;
+        },
+        params: {
+            kernelSize: { value: 32 },
+            kernelRadius: propertyParam('kernelRadius', 8, 0, 32, 0.1),
+            minDistance: propertyParam('minDistance', 0.005, 0.001, 0.02, 0.001),
+            maxDistance: propertyParam('maxDistance', 0.1, 0.01, 0.3, 0.001)
+        }
+    },
+    sao: {
+        create: (params, { scene, camera }) => {
+            const pass = new SAOPass(scene, camera);
+            Object.keys(params).forEach((key) => {
+                pass.params[key] = params[key];
+            });
+            return pass;
+        },
+        params: {
+            saoIntensity: saoParam('saoIntensity', 0.02, 0, 1, 0.001),
+            saoScale: saoParam('saoScale', 10, 0, 50, 0.1),
+            saoKernelRadius: saoParam('saoKernelRadius', 40, 1, 100, 1),
+            saoBias: saoParam('saoBias', 0.5, -1, 1, 0.01),
+            saoBlur: saoParam('saoBlur', true)
+        }
+    },
+    bokeh: {
+        create: (params, { scene, camera }) => new BokehPass(scene, camera, params),
+        params: {
+            focus: uniformParam('focus', 10, 0.1, 100, 0.1),
+            aperture: uniformParam('aperture', 0.025, 0, 0.1, 0.0001),
+            maxblur: uniformParam('maxblur', 0.01, 0, 0.05, 0.001)
+        }
+    },
+    outline: {
+        create: (params, { scene, camera, width, height }) => {
+            const pass = new OutlinePass(new THREE.Vector2(width, height), scene, camera);
+            Object.assign(pass, { edgeStrength: params.edgeStrength, edgeThickness: params.edgeThickness, edgeGlow: params.edgeGlow, pulsePeriod: params.pulsePeriod });
+            pass.visibleEdgeColor.set(params.visibleEdgeColor);
+            pass.hiddenEdgeColor.set(params.hiddenEdgeColor);
+            return pass;
+        },
+        params: {
+            edgeStrength: propertyParam('edgeStrength', 3, 0, 10, 0.01),
+            edgeThickness: propertyParam('edgeThickness', 1, 1, 4, 0.01),
+            edgeGlow: propertyParam('edgeGlow', 0, 0, 1, 0.01),
+            pulsePeriod: propertyParam('pulsePeriod', 0, 0, 5, 0.01),
+            visibleEdgeColor: colorParam('visibleEdgeColor', 0xffffff),
+            hiddenEdgeColor: colorParam('hiddenEdgeColor', 0x190a05)
+        }
+    },
+    lut: {
+        // The URL is kept so the pass can be saved in a preset
+        create: (params) => {
+            const pass = new LUTPass({ intensity: params.intensity });
+            if (params.url) loadLUTIntoPass(pass, params.url);
+            return pass;
+        },
+        params: {
+            url: { value: null },
+            intensity: propertyParam('intensity', 1, 0, 1, 0.01)
+        }
+    },
+    toneMapping: {
+        create: (params, { renderer }) => {
+            renderer.toneMapping = params.toneMapping;
+            renderer.toneMappingExposure = params.exposure;
+            return new OutputPass();
+        },
+        params: {
+            // OutputPass reads both from the renderer every frame
+            toneMapping: {
+                value: THREE.ACESFilmicToneMapping,
+                options: {
+                    None: THREE.NoToneMapping,
+                    Linear: THREE.LinearToneMapping,
+                    Reinhard: THREE.ReinhardToneMapping,
+                    Cineon: THREE.CineonToneMapping,
+                    ACESFilmic: THREE.ACESFilmicToneMapping,
+                    AgX: THREE.AgXToneMapping,
+                    Neutral: THREE.NeutralToneMapping
+                },
+                get: (pass, renderer) => renderer.toneMapping,
+                set: (pass, value, renderer) => { renderer.toneMapping = value; }
+            },
+            exposure: {
+                value: 1, min: 0, max: 4, step: 0.01,
+                get: (pass, renderer) => renderer.toneMappingExposure,
+                set: (pass, value, renderer) => { renderer.toneMappingExposure = value; }
+            }
+        }
+    },
+    vignette: {
+        create: params => shaderPass(VignetteShader, params),
+        params: {
+            offset: uniformParam('offset', 1, 0, 2, 0.01),
+            darkness: uniformParam('darkness', 1, 0, 2, 0.01)
+        }
+    },
+    chromaticAberration: {
+        create: params => shaderPass(RGBShiftShader, params),
+        params: {
+            amount: uniformParam('amount', 0.0015, 0, 0.02, 0.0001),
+            angle: uniformParam('angle', 0, 0, Math.PI * 2, 0.01)
+        }
     }
-    render();
-}
\ No newline at end of file
+};
+
+/**
+ * Post-processing Presets
+ * Pass lists for applyPreset; the scene render pass always comes first and is not part of a preset.
+ */
+export const POSTPROCESSING_PRESETS = Object.freeze({
+    none: { passes: [] },
+    antialiased: { passes: [{ name: 'fxaa', type: 'fxaa' }] },
+    cinematic: {
+        passes: [
+            { name: 'bloom', type: 'unrealBloom', params: { strength: 0.8, radius: 0.4, threshold: 0.85 } },
+            { name: 'film', type: 'film', params: { intensity: 0.35 } },
+            { name: 'fxaa', type: 'fxaa' }
+        ]
+    },
+    dreamy: {
+        passes: [
+            { name: 'bloom', type: 'unrealBloom', params: { strength: 1.6, radius: 0.9, threshold: 0.5 } },
+            { name: 'fxaa', type: 'fxaa' }
+        ]
+    },
+    filmic: {
+        passes: [
+            { name: 'toneMapping', type: 'toneMapping', params: { toneMapping: THREE.ACESFilmicToneMapping, exposure: 1 } },
+            { name: 'vignette', type: 'vignette', params: { offset: 1, darkness: 1.2 } },
+            { name: 'chromaticAberration', type: 'chromaticAberration', params: { amount: 0.001 } },
+            { name: 'fxaa', type: 'fxaa' }
+        ]
+    },
+    noir: {
+        passes: [
+            { name: 'film', type: 'film', params: { intensity: 0.6, grayscale: true } },
+            { name: 'fxaa', type: 'fxaa' }
+        ]
+    }
+});
+
+/**
+ * Create a Post-processing Pipeline
+ * An EffectComposer whose passes have names, so they can be inserted before or after each other,
+ * moved, switched on and off and removed. Passes of a known type have their settings exposed
+ * (getParams, setParams, getParamSpecs) and the whole pipeline can be saved and restored as a preset.
+ * The pipeline follows the renderer: when its size or pixel ratio changes, the composer and every
+ * pass are resized before the next frame, including the FXAA resolution.
+ * The pipeline dispatches 'change' ({ action, name }) events when passes are added, removed,
+ * moved, toggled or changed.
+ * Inside an app, hand the pipeline to app.setRenderer instead of starting it, or the app renders
+ * the scene as well: the pipeline then draws in the app's render phase, on app.scheduler.
+ * @param {THREE.WebGLRenderer} renderer - The WebGL renderer instance
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera} camera - The Three.js camera
+ * @param {Object} options - Pipeline options
+ * @param {string|Object} options.preset - A preset name from POSTPROCESSING_PRESETS or a preset object to start with
+ * @param {Object|null} options.scheduler - Scheduler that renders the pipeline once started (default: the shared scheduler)
+ * @returns {THREE.EventDispatcher} - The pipeline
+ */
+export function createPostProcessingPipeline(renderer, scene, camera, options = {}) {
+    const scheduler = options.scheduler === undefined ? getDefaultScheduler() : options.scheduler;
+    const composer = new EffectComposer(renderer);
+    const entries = [];
+    const size = renderer.getSize(new THREE.Vector2());
+    let pixelRatio = renderer.getPixelRatio();
+    let removeRender = null;
+
+    function getEntry(name) {
+        const entry = entries.find(item => item.name === name);
+        if (!entry) {
+            throw new Error(`Unknown pass "${name}", expected one of ${entries.map(item => item.name).join(', ')}`);
+        }
+        return entry;
+    }
+
+    function changed(action, name) {
+        pipeline.dispatchEvent({ type: 'change', action, name });
+    }
+
+    // The render pass stays first; position is { before }, { after } or { index }, default the end
+    function resolveIndex(position) {
+        let index = entries.length;
+        if (position.before !== undefined) index = entries.indexOf(getEntry(position.before));
+        else if (position.after !== undefined) index = entries.indexOf(getEntry(position.after)) + 1;
+        else if (position.index !== undefined) index = position.index;
+        return THREE.MathUtils.clamp(index, 1, entries.length);
+    }
+
+    function syncPasses() {
+        composer.passes = entries.map(entry => entry.pass);
+    }
+
+    function resizePasses() {
+        composer.setPixelRatio(pixelRatio);
+        composer.setSize(size.x, size.y);
+        entries.forEach(entry => resizePass(entry.pass, size.x * pixelRatio, size.y * pixelRatio));
+    }
+
+    // Picks up renderer.setSize / setPixelRatio calls made elsewhere, e.g. by the app's resize handler
+    function syncSize() {
+        const current = renderer.getSize(new THREE.Vector2());
+        const currentPixelRatio = renderer.getPixelRatio();
+        if (current.equals(size) && currentPixelRatio === pixelRatio) return;
+        size.copy(current);
+        pixelRatio = currentPixelRatio;
+        resizePasses();
+    }
+
+    const pipeline = Object.assign(new THREE.EventDispatcher(), {
+        composer,
+
+        /**
+         * Add a pass.
+         * @param {string} name - A unique name for the pass
+         * @param {string|Pass} type - A pass type ('bloom', 'unrealBloom', 'selectiveBloom', 'film', 'fxaa', 'ssao', 'sao', 'bokeh', 'outline', 'lut', 'toneMapping', 'vignette', 'chromaticAberration') or a pass instance
+         * @param {Object} params - Settings of a typed pass; missing ones use the type's defaults
+         * @param {Object} options - Where to insert it: { before: name }, { after: name } or { index } (default: the end); enabled: false adds it switched off
+         * @returns {Pass} - The added pass
+         */
+        add(name, type, params = {}, options = {}) {
+            if (entries.some(entry => entry.name === name)) {
+                throw new Error(`A pass named "${name}" already exists`);
+            }
+
+            let pass = type;
+            let typeName = null;
+            const initial = {};
+            if (typeof type === 'string') {
+                const definition = PASS_TYPES[type];
+                if (!definition) {
+                    throw new Error(`Unknown pass type "${type}", expected one of ${Object.keys(PASS_TYPES).join(', ')}`);
+                }
+                Object.entries(definition.params).forEach(([key, spec]) => {
+                    initial[key] = params[key] !== undefined ? params[key] : spec.value;
+                });
+                pass = definition.create(initial, { renderer, scene, camera, width: size.x * pixelRatio, height: size.y * pixelRatio });
+                typeName = type;
+            }
+
+            if (options.enabled === false) pass.enabled = false;
+            const entry = { name, type: typeName, pass, params: initial };
+            entries.splice(resolveIndex(options), 0, entry);
+            syncPasses();
+            pass.setSize(size.x * pixelRatio, size.y * pixelRatio);
+            resizePass(pass, size.x * pixelRatio, size.y * pixelRatio);
+            changed('add', name);
+            return pass;
+        },
+
+        /**
+         * Remove a pass and free its render targets.
+         * @param {string} name - The pass name
+         * @returns {boolean} - Whether a pass was removed
+         */
+        remove(name) {
+            const index = entries.findIndex(entry => entry.name === name);
+            if (index <= 0) return false;
+            const [entry] = entries.splice(index, 1);
+            syncPasses();
+            if (typeof entry.pass.dispose === 'function') entry.pass.dispose();
+            changed('remove', name);
+            return true;
+        },
+
+        /**
+         * Move a pass.
+         * @param {string} name - The pass name
+         * @param {Object} position - { before: name }, { after: name } or { index }
+         * @returns {Object} - The pipeline, for chaining
+         */
+        move(name, position) {
+            const entry = getEntry(name);
+            if (entries.indexOf(entry) === 0) return pipeline;
+            entries.splice(entries.indexOf(entry), 1);
+            entries.splice(resolveIndex(position), 0, entry);
+            syncPasses();
+            changed('move', name);
+            return pipeline;
+        },
+
+        get(name) {
+            const entry = entries.find(item => item.name === name);
+            return entry ? entry.pass : null;
+        },
+
+        has: name => entries.some(entry => entry.name === name),
+
+        getNames: () => entries.map(entry => entry.name),
+
+        getType: name => getEntry(name).type,
+
+        setEnabled(name, enabled) {
+            getEntry(name).pass.enabled = enabled;
+            changed('toggle', name);
+            return pipeline;
+        },
+
+        isEnabled: name => getEntry(name).pass.enabled,
+
+        toggle(name) {
+            return pipeline.setEnabled(name, !pipeline.isEnabled(name));
+        },
+
+        /**
+         * The current settings of a typed pass.
+         * @param {string} name - The pass name
+         * @returns {Object} - The settings, e.g. { strength, radius, threshold }
+         */
+        getParams(name) {
+            const entry = getEntry(name);
+            const params = { ...entry.params };
+            if (entry.type) {
+                Object.entries(PASS_TYPES[entry.type].params).forEach(([key, spec]) => {
+                    if (spec.get) params[key] = spec.get(entry.pass, renderer);
+                });
+            }
+            return params;
+        },
+
+        /**
+         * Change live settings of a typed pass; settings only read at creation are ignored.
+         * @param {string} name - The pass name
+         * @param {Object} params - The settings to change
+         * @returns {Object} - The pipeline, for chaining
+         */
+        setParams(name, params) {
+            const entry = getEntry(name);
+            if (!entry.type) return pipeline;
+            const specs = PASS_TYPES[entry.type].params;
+            Object.entries(params).forEach(([key, value]) => {
+                if (specs[key] && specs[key].set) specs[key].set(entry.pass, value, renderer);
+            });
+            changed('params', name);
+            return pipeline;
+        },
+
+        /**
+         * The live settings of a typed pass with their ranges, for building controls.
+         * @param {string} name - The pass name
+         * @returns {Array<{key: string, min: number, max: number, step: number, color: boolean, options: Object}>} - One entry per setting; booleans have no range, colours set color and choices list their options by label
+         */
+        getParamSpecs(name) {
+            const entry = getEntry(name);
+            if (!entry.type) return [];
+            return Object.entries(PASS_TYPES[entry.type].params)
+                .filter(([, spec]) => spec.set)
+                .map(([key, spec]) => ({ key, min: spec.min, max: spec.max, step: spec.step, color: !!spec.color, options: spec.options }));
+        },
+
+        /**
+         * Describe the pipeline as a preset. Passes added as instances cannot be described and are left out.
+         * @returns {{passes: Array<Object>}} - The preset, safe to pass through JSON
+         */
+        toJSON() {
+            return {
+                passes: entries.slice(1).filter(entry => entry.type).map(entry => ({
+                    name: entry.name,
+                    type: entry.type,
+                    enabled: entry.pass.enabled,
+                    params: pipeline.getParams(entry.name)
+                }))
+            };
+        },
+
+        /**
+         * Replace every pass after the render pass with the passes of a preset.
+         * @param {string|Object} preset - A name from POSTPROCESSING_PRESETS or a preset object, e.g. from toJSON
+         * @returns {Object} - The pipeline, for chaining
+         */
+        applyPreset(preset) {
+            const description = typeof preset === 'string' ? POSTPROCESSING_PRESETS[preset] : preset;
+            if (!description) {
+                throw new Error(`Unknown post-processing preset "${preset}", expected one of ${Object.keys(POSTPROCESSING_PRESETS).join(', ')}`);
+            }
+            entries.slice(1).forEach(entry => pipeline.remove(entry.name));
+            (description.passes || []).forEach((item) => {
+                pipeline.add(item.name || item.type, item.type, item.params || {}, { enabled: item.enabled });
+            });
+            changed('preset', null);
+            return pipeline;
+        },
+
+        /**
+         * Resize the composer and every pass.
+         * @param {number} width - Width in CSS pixels
+         * @param {number} height - Height in CSS pixels
+         */
+        setSize(width, height) {
+            size.set(width, height);
+            resizePasses();
+        },
+
+        setPixelRatio(ratio) {
+            pixelRatio = ratio;
+            resizePasses();
+        },
+
+        render(delta) {
+            syncSize();
+            composer.render(delta);
+        },
+
+        /**
+         * Render the pipeline every frame in the scheduler's render phase. Only for renderers that
+         * nothing else draws with; an app renders the pipeline through app.setRenderer(pipeline).
+         * @returns {Object} - The pipeline, for chaining
+         */
+        start() {
+            if (!removeRender && scheduler) {
+                removeRender = scheduler.add(pipeline.render, { phase: PHASES.RENDER });
+            }
+            return pipeline;
+        },
+
+        stop() {
+            if (removeRender) {
+                removeRender();
+                removeRender = null;
+            }
+            return pipeline;
+        },
+
+        dispose() {
+            pipeline.stop();
+            entries.forEach((entry) => {
+                if (typeof entry.pass.dispose === 'function') entry.pass.dispose();
+            });
+            entries.length = 0;
+            syncPasses();
+            composer.dispose();
+        }
+    });
+
+    entries.push({ name: 'render', type: null, pass: new RenderPass(scene, camera), params: {} });
+    syncPasses();
+    if (options.preset) pipeline.applyPreset(options.preset);
+
+    return pipeline;
+}
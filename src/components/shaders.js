@@ -1,4 +1,20 @@
 import * as THREE from 'three';
+import { includeChunks } from '../utils/shaderChunks.js';
+
+// The chunks are expanded here, so these shaders work with THREE.ShaderMaterial as they are
+
+/**
+ * Default Vertex Shader
+ * Transforms the position and passes the UV, normal and positions on through <varyings>.
+ */
+export const DefaultVertexShader = includeChunks(`
+    #include <varyings>
+
+    void main() {
+        vec3 transformed = position;
+        #include <varyings_vertex>
+    }
+`);
 
 /**
  * Basic Color Shader
@@ -8,11 +24,7 @@ export const BasicColorShader = {
     uniforms: {
         color: { value: new THREE.Color(0xff0000) }
     },
-    vertexShader: `
-        void main() {
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-    `,
+    vertexShader: DefaultVertexShader,
     fragmentShader: `
         uniform vec3 color;
 
@@ -30,11 +42,7 @@ export const TimeColorShader = {
     uniforms: {
         time: { value: 0.0 }
     },
-    vertexShader: `
-        void main() {
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-    `,
+    vertexShader: DefaultVertexShader,
     fragmentShader: `
         uniform float time;
 
@@ -55,17 +63,19 @@ export const WaveDistortionShader = {
         amplitude: { value: 0.1 },
         frequency: { value: 10.0 }
     },
-    vertexShader: `
+    vertexShader: includeChunks(`
+        #include <varyings>
+
         uniform float time;
         uniform float amplitude;
         uniform float frequency;
 
         void main() {
-            vec3 pos = position;
-            pos.z += sin(pos.x * frequency + time) * amplitude;
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+            vec3 transformed = position;
+            transformed.z += sin(transformed.x * frequency + time) * amplitude;
+            #include <varyings_vertex>
         }
-    `,
+    `),
     fragmentShader: `
         void main() {
             gl_FragColor = vec4(1.0, 1.0, 1.0, 1.0);
@@ -82,11 +92,7 @@ export const MarbleShader = {
         time: { value: 0.0 },
         scale: { value: 5.0 }
     },
-    vertexShader: `
-        void main() {
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-    `,
+    vertexShader: DefaultVertexShader,
     fragmentShader: `
         uniform float time;
         uniform float scale;
@@ -113,11 +119,7 @@ export const GradientShader = {
         color1: { value: new THREE.Color(0xff0000) },
         color2: { value: new THREE.Color(0x0000ff) }
     },
-    vertexShader: `
-        void main() {
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-    `,
+    vertexShader: DefaultVertexShader,
     fragmentShader: `
         uniform vec3 color1;
         uniform vec3 color2;
@@ -140,11 +142,7 @@ export const CheckerboardShader = {
         color2: { value: new THREE.Color(0x000000) },
         scale: { value: 10.0 }
     },
-    vertexShader: `
-        void main() {
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-    `,
+    vertexShader: DefaultVertexShader,
     fragmentShader: `
         uniform vec3 color1;
         uniform vec3 color2;
@@ -168,11 +166,7 @@ export const RadialGradientShader = {
         color1: { value: new THREE.Color(0xffffff) },
         color2: { value: new THREE.Color(0x000000) }
     },
-    vertexShader: `
-        void main() {
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-    `,
+    vertexShader: DefaultVertexShader,
     fragmentShader: `
         uniform vec3 color1;
         uniform vec3 color2;
@@ -184,4 +178,4 @@ export const RadialGradientShader = {
             gl_FragColor = vec4(color, 1.0);
         }
     `
-};
\ No newline at end of file
+};
@@ -0,0 +1,295 @@
+import * as THREE from 'three';
+import { PHASES, getDefaultScheduler } from './scheduler.js';
+
+/**
+ * Loop Modes
+ * How a clip repeats: once (and holds or resets), repeat from the start, or back and forth.
+ */
+export const LOOP_MODES = Object.freeze({
+    once: THREE.LoopOnce,
+    repeat: THREE.LoopRepeat,
+    pingpong: THREE.LoopPingPong
+});
+
+/**
+ * Create an Animation Controller
+ * Plays the animation clips of a model (skeletal, morph target or node animations, as loaded from
+ * glTF or FBX) through a THREE.AnimationMixer: play, stop and cross-fade clips by name, set their
+ * weights and speed, loop modes, and additive layers on top of the base animation.
+ * The controller dispatches 'play' and 'stop' ({ clip }), 'loop' ({ clip, action, loopDelta }) and
+ * 'finished' ({ clip, action, direction }) events, and 'change' ({ playing }) when the set of running
+ * clips changes, e.g. once a fade-out has ended.
+ * @param {THREE.Object3D} root - The model the clips animate
+ * @param {Object} options - Controller options
+ * @param {Array<THREE.AnimationClip>} options.clips - The clips (default: root.animations)
+ * @param {Object|null} options.scheduler - Scheduler that advances the mixer every frame; null to call update() yourself (default: the shared scheduler)
+ * @param {number} options.timeScale - Speed of all clips (default: 1)
+ * @returns {THREE.EventDispatcher} - The animation controller
+ */
+export function createAnimationController(root, options = {}) {
+    const scheduler = options.scheduler === undefined ? getDefaultScheduler() : options.scheduler;
+    const mixer = new THREE.AnimationMixer(root);
+    mixer.timeScale = options.timeScale !== undefined ? options.timeScale : 1;
+
+    const clips = new Map();
+    (options.clips || root.animations || []).forEach((clip, index) => {
+        clips.set(clip.name || `clip ${index}`, clip);
+    });
+
+    // Additive versions are separate actions of a converted copy of the clip
+    const additiveClips = new Map();
+    const names = new Map();
+    let removeUpdate = null;
+    let lastPlaying = '';
+
+    function getClip(name, additive) {
+        const clip = clips.get(name);
+        if (!clip) {
+            throw new Error(`Unknown animation clip "${name}", expected one of ${Array.from(clips.keys()).join(', ')}`);
+        }
+        if (!additive) return clip;
+        if (!additiveClips.has(name)) {
+            const additiveClip = THREE.AnimationUtils.makeClipAdditive(clip.clone());
+            additiveClips.set(name, additiveClip);
+            names.set(additiveClip, name);
+        }
+        return additiveClips.get(name);
+    }
+
+    function nameOf(action) {
+        const clip = action.getClip();
+        return names.has(clip) ? names.get(clip) : Array.from(clips.keys()).find(name => clips.get(name) === clip);
+    }
+
+    function onLoop(event) {
+        controller.dispatchEvent({ type: 'loop', clip: nameOf(event.action), action: event.action, loopDelta: event.loopDelta });
+    }
+
+    function onFinished(event) {
+        controller.dispatchEvent({ type: 'finished', clip: nameOf(event.action), action: event.action, direction: event.direction });
+    }
+
+    mixer.addEventListener('loop', onLoop);
+    mixer.addEventListener('finished', onFinished);
+
+    function applyOptions(name, action, playOptions) {
+        if (playOptions.loop !== undefined) {
+            controller.setLoop(name, playOptions.loop, playOptions.repetitions, playOptions.additive);
+        }
+        if (playOptions.weight !== undefined) action.setEffectiveWeight(playOptions.weight);
+        if (playOptions.timeScale !== undefined) action.setEffectiveTimeScale(playOptions.timeScale);
+        if (playOptions.clampWhenFinished !== undefined) action.clampWhenFinished = playOptions.clampWhenFinished;
+    }
+
+    const controller = Object.assign(new THREE.EventDispatcher(), {
+        mixer,
+        root,
+
+        /**
+         * The names of the clips, in the order of the model's animations.
+         * @returns {Array<string>} - The clip names
+         */
+        getClips: () => Array.from(clips.keys()),
+
+        hasClip: name => clips.has(name),
+
+        /**
+         * Get the action of a clip, e.g. to sync or inspect it.
+         * @param {string} name - The clip name
+         * @param {boolean} additive - Get the additive version of the clip (default: false)
+         * @returns {THREE.AnimationAction} - The action
+         */
+        getAction(name, additive = false) {
+            return mixer.clipAction(getClip(name, additive));
+        },
+
+        /**
+         * Play a clip.
+         * @param {string} name - The clip name
+         * @param {Object} playOptions - Play options
+         * @param {string} playOptions.loop - 'once', 'repeat' or 'pingpong' (default: the action's current mode, initially 'repeat')
+         * @param {number} playOptions.repetitions - How often a looping clip repeats (default: Infinity)
+         * @param {number} playOptions.fadeIn - Seconds to fade the clip in (default: 0)
+         * @param {number} playOptions.weight - Blend weight from 0 to 1
+         * @param {number} playOptions.timeScale - Speed of this clip
+         * @param {boolean} playOptions.clampWhenFinished - Hold the last frame after a 'once' clip ends
+         * @param {boolean} playOptions.additive - Layer the clip additively on top of the other clips (default: false)
+         * @param {boolean} playOptions.reset - Restart the clip from the beginning (default: true)
+         * @returns {THREE.AnimationAction} - The action
+         */
+        play(name, playOptions = {}) {
+            const { fadeIn = 0, additive = false, reset = true } = playOptions;
+            const action = controller.getAction(name, additive);
+            if (reset) action.reset();
+            applyOptions(name, action, playOptions);
+            action.play();
+            if (fadeIn > 0) action.fadeIn(fadeIn);
+            controller.dispatchEvent({ type: 'play', clip: name });
+            return action;
+        },
+
+        /**
+         * Stop a clip, or fade it out.
+         * @param {string} name - The clip name
+         * @param {Object} stopOptions - Stop options: fadeOut in seconds (default: 0) and additive
+         * @returns {Object} - The controller, for chaining
+         */
+        stop(name, stopOptions = {}) {
+            const { fadeOut = 0, additive = false } = stopOptions;
+            const action = controller.getAction(name, additive);
+            if (fadeOut > 0) {
+                action.fadeOut(fadeOut);
+            } else {
+                action.stop();
+            }
+            controller.dispatchEvent({ type: 'stop', clip: name });
+            return controller;
+        },
+
+        stopAll() {
+            const playing = controller.getPlaying();
+            mixer.stopAllAction();
+            playing.forEach(clip => controller.dispatchEvent({ type: 'stop', clip }));
+            return controller;
+        },
+
+        /**
+         * Cross-fade to a clip from another one, or from every clip currently playing (additive layers keep playing).
+         * @param {string|null} from - The clip to fade out, or null for all playing clips
+         * @param {string} to - The clip to fade in
+         * @param {number} duration - Seconds the fade takes (default: 0.3)
+         * @param {Object} playOptions - Options for the new clip, see play, plus warp to blend the speeds (default: false)
+         * @returns {THREE.AnimationAction} - The action fading in
+         */
+        crossFade(from, to, duration = 0.3, playOptions = {}) {
+            const toAction = controller.getAction(to);
+            const fromActions = (from !== null ? [from] : controller.getPlaying())
+                .map(name => controller.getAction(name))
+                .filter(action => action !== toAction && action.isRunning());
+
+            controller.play(to, { ...playOptions, additive: false, fadeIn: 0 });
+            fromActions.forEach(action => action.crossFadeTo(toAction, duration, playOptions.warp || false));
+            if (fromActions.length === 0) toAction.fadeIn(duration);
+            return toAction;
+        },
+
+        /**
+         * Set the blend weight of a clip.
+         * @param {string} name - The clip name
+         * @param {number} weight - Weight from 0 to 1
+         * @param {boolean} additive - Whether it is the additive version (default: false)
+         * @returns {Object} - The controller, for chaining
+         */
+        setWeight(name, weight, additive = false) {
+            controller.getAction(name, additive).setEffectiveWeight(weight);
+            return controller;
+        },
+
+        getWeight: (name, additive = false) => controller.getAction(name, additive).getEffectiveWeight(),
+
+        /**
+         * Set the speed of one clip; negative values play it backwards.
+         * @param {string} name - The clip name
+         * @param {number} timeScale - The speed factor
+         * @param {boolean} additive - Whether it is the additive version (default: false)
+         * @returns {Object} - The controller, for chaining
+         */
+        setTimeScale(name, timeScale, additive = false) {
+            controller.getAction(name, additive).setEffectiveTimeScale(timeScale);
+            return controller;
+        },
+
+        /**
+         * Set the speed of every clip.
+         * @param {number} timeScale - The speed factor; 0 freezes the model
+         * @returns {Object} - The controller, for chaining
+         */
+        setGlobalTimeScale(timeScale) {
+            mixer.timeScale = timeScale;
+            return controller;
+        },
+
+        /**
+         * Set how a clip repeats. A 'once' clip holds its last frame when it ends.
+         * @param {string} name - The clip name
+         * @param {string} mode - 'once', 'repeat' or 'pingpong'
+         * @param {number} repetitions - How often it repeats (default: Infinity)
+         * @param {boolean} additive - Whether it is the additive version (default: false)
+         * @returns {Object} - The controller, for chaining
+         */
+        setLoop(name, mode, repetitions = Infinity, additive = false) {
+            if (LOOP_MODES[mode] === undefined) {
+                throw new Error(`Unknown loop mode "${mode}", expected one of ${Object.keys(LOOP_MODES).join(', ')}`);
+            }
+            const action = controller.getAction(name, additive);
+            action.setLoop(LOOP_MODES[mode], repetitions);
+            if (mode === 'once') action.clampWhenFinished = true;
+            return controller;
+        },
+
+        isPlaying(name, additive = false) {
+            return clips.has(name) && controller.getAction(name, additive).isRunning();
+        },
+
+        /**
+         * The clips that are playing, additive layers included.
+         * @returns {Array<string>} - The clip names
+         */
+        getPlaying() {
+            const playing = new Set();
+            clips.forEach((clip, name) => {
+                if (mixer.existingAction(clip) && mixer.existingAction(clip).isRunning()) playing.add(name);
+            });
+            additiveClips.forEach((clip, name) => {
+                if (mixer.existingAction(clip) && mixer.existingAction(clip).isRunning()) playing.add(name);
+            });
+            return Array.from(playing);
+        },
+
+        update(delta) {
+            mixer.update(delta);
+
+            // Fades end inside the mixer without an event of their own
+            const playing = controller.getPlaying();
+            const key = playing.join('|');
+            if (key !== lastPlaying) {
+                lastPlaying = key;
+                controller.dispatchEvent({ type: 'change', playing });
+            }
+        },
+
+        /**
+         * Advance the mixer with the scheduler, once per frame.
+         * @returns {Object} - The controller, for chaining
+         */
+        start() {
+            if (!removeUpdate && scheduler) {
+                removeUpdate = scheduler.add(controller.update, { phase: PHASES.ANIMATION });
+            }
+            return controller;
+        },
+
+        /**
+         * Stop advancing the mixer; the model holds its current pose.
+         * @returns {Object} - The controller, for chaining
+         */
+        pause() {
+            if (removeUpdate) {
+                removeUpdate();
+                removeUpdate = null;
+            }
+            return controller;
+        },
+
+        dispose() {
+            controller.pause();
+            mixer.removeEventListener('loop', onLoop);
+            mixer.removeEventListener('finished', onFinished);
+            mixer.stopAllAction();
+            mixer.uncacheRoot(root);
+        }
+    });
+
+    controller.start();
+    return controller;
+}
@@ -1,5 +1,8 @@
 import * as THREE from 'three';
-import { TWEEN } from 'three/examples/jsm/libs/tween.module.min.js';
+import TWEEN from 'three/examples/jsm/libs/tween.module.js';
+import { PHASES, getDefaultScheduler } from './scheduler.js';
+import { createPathFollower } from './paths.js';
+import { moveCamera } from './camera.js';
 
 /**
  * Basic Rotation Animation
@@ -45,32 +48,35 @@ export function oscillateObject(object, axis = 'y', amplitude = 1, speed = 0.001
 
 /**
  * Keyframe Animation using TWEEN.js
- * Animates an object between multiple keyframes using tweening.
+ * Animates an object between multiple keyframes using tweening, one keyframe after the other.
+ * For keyframes at explicit times, per-key easing, scrubbing or markers use createTimeline from timeline.js.
  * @param {THREE.Object3D} object - The object to animate
  * @param {Array<Object>} keyframes - Array of keyframe objects with position, rotation, or scale properties
  * @param {number} duration - Duration of the animation
  * @param {function} onComplete - Callback function to execute when animation completes
  */
 export function animateObjectWithKeyframes(object, keyframes, duration = 2000, onComplete = null) {
-    let tweenChain = null;
-    
-    keyframes.forEach((keyframe, index) => {
-        const tween = new TWEEN.Tween(object)
-            .to(keyframe, duration / keyframes.length)
-            .easing(TWEEN.Easing.Quadratic.InOut);
-
-        if (index === 0) {
-            tweenChain = tween;
-        } else {
-            tweenChain.chain(tween);
-        }
+    const tweens = keyframes.map(keyframe => new TWEEN.Tween(object)
+        .to(keyframe, duration / keyframes.length)
+        .easing(TWEEN.Easing.Quadratic.InOut));
 
-        if (index === keyframes.length - 1 && onComplete) {
-            tween.onComplete(onComplete);
+    // Each tween starts when the previous one completes
+    tweens.forEach((tween, index) => {
+        if (index > 0) {
+            tweens[index - 1].chain(tween);
         }
     });
 
-    tweenChain.start();
+    if (tweens.length === 0) {
+        if (onComplete) onComplete();
+        return;
+    }
+
+    if (onComplete) {
+        tweens[tweens.length - 1].onComplete(onComplete);
+    }
+
+    tweens[0].start();
 }
 
 /**
@@ -88,29 +94,15 @@ export function animateObjectInCircle(object, radius = 5, speed = 0.001, time =
 
 /**
  * Simple Follow Path Animation
- * Moves an object along a predefined path of points.
+ * Moves an object along straight segments between a predefined path of points at a constant speed.
+ * For smooth curves, orientation, banking or looping use createPathFollower from paths.js.
  * @param {THREE.Object3D} object - The object to move
  * @param {Array<THREE.Vector3>} path - Array of points defining the path
- * @param {number} duration - Duration of the animation along the entire path
+ * @param {number} duration - Duration of the animation along the entire path in milliseconds
+ * @returns {THREE.EventDispatcher} - The running path follower
  */
 export function followPath(object, path, duration = 5000) {
-    let currentIndex = 0;
-
-    function animate() {
-        if (currentIndex < path.length - 1) {
-            const nextIndex = currentIndex + 1;
-            const tween = new TWEEN.Tween(object.position)
-                .to({ x: path[nextIndex].x, y: path[nextIndex].y, z: path[nextIndex].z }, duration / path.length)
-                .easing(TWEEN.Easing.Linear.None)
-                .onComplete(() => {
-                    currentIndex = nextIndex;
-                    animate();
-                })
-                .start();
-        }
-    }
-
-    animate();
+    return createPathFollower(object, path, { type: 'linear', duration: duration / 1000, orient: false }).start();
 }
 
 /**
@@ -149,32 +141,196 @@ export function animateMaterialUniforms(material, uniforms, speed = 0.001, time
  * @param {THREE.Camera} camera - The camera to animate
  * @param {THREE.Vector3} target - The target position to look at
  * @param {number} duration - Duration of the animation
+ * @param {Object} controls - Optional controls to keep in sync with the camera
+ * @returns {Promise<boolean>} - Resolves when the animation ends, see moveCamera
  */
-export function animateCameraLookAt(camera, target, duration = 2000) {
-    const initialTarget = camera.getWorldDirection(new THREE.Vector3()).clone();
-    const finalTarget = new THREE.Vector3().copy(target);
-
-    const tween = new TWEEN.Tween(initialTarget)
-        .to(finalTarget, duration)
-        .easing(TWEEN.Easing.Quadratic.InOut)
-        .onUpdate(() => {
-            camera.lookAt(initialTarget);
-        })
-        .start();
+export function animateCameraLookAt(camera, target, duration = 2000, controls = null) {
+    return moveCamera(camera, { target, duration, controls });
+}
+
+/**
+ * Create an Animator
+ * Shared plumbing for the stateful animators below. Keeps a local clock that is advanced by a
+ * delta in seconds, so the result is the same at any frame rate.
+ * The animator dispatches 'start', 'stop', 'reverse' and 'complete' events.
+ * @param {function} apply - Called with the animator time and the signed delta after every advance
+ * @param {Object} options - Animator options
+ * @param {number} options.duration - Seconds until the animator completes (default: Infinity)
+ * @param {Object|null} options.scheduler - Scheduler that advances the animator while it plays; null to call update() yourself (default: the shared scheduler)
+ * @returns {THREE.EventDispatcher} - The animator
+ */
+function createAnimator(apply, options = {}) {
+    const scheduler = options.scheduler === undefined ? getDefaultScheduler() : options.scheduler;
+    const duration = options.duration !== undefined ? options.duration : Infinity;
+    let removeUpdate = null;
+
+    const animator = Object.assign(new THREE.EventDispatcher(), {
+        time: 0,
+        direction: 1,
+        playing: false,
+        duration,
+
+        update(delta) {
+            if (!animator.playing) return;
+
+            const previous = animator.time;
+            animator.time = previous + delta * animator.direction;
+            // Endless animators run backwards past 0 when reversed; timed ones stop at either end
+            if (duration !== Infinity) animator.time = THREE.MathUtils.clamp(animator.time, 0, duration);
+            apply(animator.time, animator.time - previous);
+
+            const finished = animator.direction > 0 ? animator.time >= duration : animator.time <= 0;
+            if (finished && duration !== Infinity) {
+                animator.stop();
+                animator.dispatchEvent({ type: 'complete' });
+            }
+        },
+
+        start() {
+            if (animator.playing) return animator;
+            animator.playing = true;
+            if (scheduler) {
+                removeUpdate = scheduler.add(animator.update, { phase: PHASES.ANIMATION });
+            }
+            animator.dispatchEvent({ type: 'start' });
+            return animator;
+        },
+
+        stop() {
+            if (!animator.playing) return animator;
+            animator.playing = false;
+            if (removeUpdate) {
+                removeUpdate();
+                removeUpdate = null;
+            }
+            animator.dispatchEvent({ type: 'stop' });
+            return animator;
+        },
+
+        reverse() {
+            animator.direction *= -1;
+            animator.dispatchEvent({ type: 'reverse' });
+            return animator;
+        },
+
+        reset() {
+            animator.time = 0;
+            animator.direction = 1;
+            apply(0, 0);
+            return animator;
+        }
+    });
+
+    return animator;
+}
+
+/**
+ * Rotation Animator
+ * Spins an object at a constant angular speed.
+ * @param {THREE.Object3D} object - The object to rotate
+ * @param {Object} options - Animator options, see createAnimator
+ * @param {Object} options.speed - Radians per second around each axis, as {x, y, z} (default: 0.6 on every axis)
+ * @returns {THREE.EventDispatcher} - The animator
+ */
+export function createRotateAnimator(object, options = {}) {
+    const speed = { x: 0.6, y: 0.6, z: 0.6, ...options.speed };
+
+    return createAnimator((time, delta) => {
+        object.rotation.x += speed.x * delta;
+        object.rotation.y += speed.y * delta;
+        object.rotation.z += speed.z * delta;
+    }, options);
+}
+
+/**
+ * Oscillation Animator
+ * Moves an object back and forth along an axis around its starting position.
+ * @param {THREE.Object3D} object - The object to move
+ * @param {Object} options - Animator options, see createAnimator
+ * @param {string} options.axis - The axis to oscillate on ('x', 'y', or 'z') (default: 'y')
+ * @param {number} options.amplitude - The maximum distance from the starting position (default: 1)
+ * @param {number} options.frequency - Full oscillations per second (default: 0.5)
+ * @returns {THREE.EventDispatcher} - The animator
+ */
+export function createOscillateAnimator(object, options = {}) {
+    const { axis = 'y', amplitude = 1, frequency = 0.5 } = options;
+    const origin = object.position[axis];
+
+    return createAnimator((time) => {
+        object.position[axis] = origin + amplitude * Math.sin(time * frequency * Math.PI * 2);
+    }, options);
+}
+
+/**
+ * Orbit Animator
+ * Moves an object along a horizontal circle around a center point.
+ * @param {THREE.Object3D} object - The object to move
+ * @param {Object} options - Animator options, see createAnimator
+ * @param {number} options.radius - The radius of the circle (default: 5)
+ * @param {number} options.speed - Radians per second along the circle (default: 1)
+ * @param {THREE.Vector3} options.center - The center of the circle (default: the origin)
+ * @returns {THREE.EventDispatcher} - The animator
+ */
+export function createOrbitAnimator(object, options = {}) {
+    const { radius = 5, speed = 1, center = new THREE.Vector3() } = options;
+
+    return createAnimator((time) => {
+        object.position.x = center.x + radius * Math.cos(time * speed);
+        object.position.z = center.z + radius * Math.sin(time * speed);
+    }, options);
+}
+
+/**
+ * Pulse Animator
+ * Pulses the color of a material between two colors.
+ * @param {THREE.Material} material - The material to pulse
+ * @param {Object} options - Animator options, see createAnimator
+ * @param {THREE.Color} options.from - The first color (default: the material's current color)
+ * @param {THREE.Color} options.to - The second color (default: white)
+ * @param {number} options.frequency - Full pulses per second (default: 0.5)
+ * @returns {THREE.EventDispatcher} - The animator
+ */
+export function createPulseAnimator(material, options = {}) {
+    const from = new THREE.Color(options.from || material.color);
+    const to = new THREE.Color(options.to !== undefined ? options.to : 0xffffff);
+    const frequency = options.frequency || 0.5;
+
+    return createAnimator((time) => {
+        material.color.lerpColors(from, to, 0.5 - 0.5 * Math.cos(time * frequency * Math.PI * 2));
+    }, options);
+}
+
+/**
+ * Scale Animator
+ * Scales an object back and forth between a minimum and maximum uniform scale.
+ * @param {THREE.Object3D} object - The object to scale
+ * @param {Object} options - Animator options, see createAnimator
+ * @param {number} options.min - The minimum scale factor (default: 0.5)
+ * @param {number} options.max - The maximum scale factor (default: 1.5)
+ * @param {number} options.frequency - Full cycles per second (default: 0.5)
+ * @returns {THREE.EventDispatcher} - The animator
+ */
+export function createScaleAnimator(object, options = {}) {
+    const { min = 0.5, max = 1.5, frequency = 0.5 } = options;
+
+    return createAnimator((time) => {
+        const scale = min + (max - min) * 0.5 * (1 + Math.sin(time * frequency * Math.PI * 2));
+        object.scale.setScalar(scale);
+    }, options);
 }
 
 /**
  * Animation loop handler
  * Handles all animations, including time updates for custom animations.
- * @param {function} customAnimations - A callback function that contains all custom animations to run each frame
+ * @param {function} customAnimations - A callback receiving the elapsed time in milliseconds and the frame delta in seconds
+ * @param {Object} scheduler - The scheduler to run on (default: the shared scheduler)
+ * @returns {function} - Call to stop the animation loop
  */
-export function animate(customAnimations = null) {
-    function loop(time) {
+export function animate(customAnimations = null, scheduler = getDefaultScheduler()) {
+    return scheduler.add((delta, elapsed) => {
         if (customAnimations) {
-            customAnimations(time);
+            customAnimations(elapsed * 1000, delta);
         }
         TWEEN.update();
-        requestAnimationFrame(loop);
-    }
-    requestAnimationFrame(loop);
+    }, { phase: PHASES.ANIMATION });
 }
\ No newline at end of file
@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+import { initScene } from './scene.js';
+import { initPerspectiveCamera } from './camera.js';
+import { initRenderer } from './renderer.js';
+import { initOrbitControls } from './controls.js';
+import { createScheduler, PHASES } from './scheduler.js';
+import { initPerformanceMonitor } from '../utils/performance.js';
+import { disposeObject } from '../utils/resources.js';
+
+/**
+ * Get the drawable size of a container
+ * Falls back to the window size when the container is the document body or has no layout yet.
+ * @param {HTMLElement} container - The container element
+ * @returns {{width: number, height: number}} - The width and height in CSS pixels
+ */
+function getContainerSize(container) {
+    if (container === document.body || !container.clientWidth || !container.clientHeight) {
+        return { width: window.innerWidth, height: window.innerHeight };
+    }
+    return { width: container.clientWidth, height: container.clientHeight };
+}
+
+/**
+ * Create an App
+ * Composes the scene, camera, renderer, orbit controls and performance monitor into one
+ * self-contained instance, so several viewers can live on the same page and be torn down.
+ * @param {Object} options - Configuration options for the app
+ * @param {HTMLElement} options.container - The element the canvas is mounted in (default: document.body)
+ * @param {Object} options.scene - Options passed to initScene (default: black background)
+ * @param {Object} options.camera - Camera options: fov, near, far and position
+ * @param {Object} options.renderer - Options passed to initRenderer
+ * @param {boolean} options.controls - Whether to create orbit controls (default: true)
+ * @param {boolean} options.stats - Whether to show the Stats.js panel (default: true)
+ * @param {Object} options.scheduler - The scheduler driving the app (default: a new scheduler owned by the app)
+ * @param {Object} options.clock - Clock for the app's own scheduler, see createScheduler
+ * @param {function} options.onRender - Callback invoked every frame before the scene is rendered
+ * @param {function|Object} options.render - What draws each frame instead of renderer.render(scene, camera), see setRenderer
+ * @returns {Object} - The app instance with its parts and start, stop, resize and dispose methods
+ */
+export function createApp(options = {}) {
+    const container = options.container || document.body;
+    const cameraOptions = options.camera || {};
+    const { width, height } = getContainerSize(container);
+
+    const scene = initScene(options.scene || { backgroundColor: 0x000000 });
+    const camera = initPerspectiveCamera(
+        cameraOptions.fov || 75,
+        width / height,
+        cameraOptions.near || 0.1,
+        cameraOptions.far || 1000,
+        cameraOptions.position || new THREE.Vector3(0, 5, 10)
+    );
+    const renderer = initRenderer(options.renderer || {}, container);
+    const controls = options.controls !== false ? initOrbitControls(camera, renderer.domElement) : null;
+    const stats = options.stats !== false ? initPerformanceMonitor(container) : null;
+    const ownsScheduler = !options.scheduler;
+    const scheduler = options.scheduler || createScheduler({ clock: options.clock });
+
+    let running = false;
+    let disposed = false;
+    let removeCallbacks = [];
+    let customRender = null;
+
+    function render(delta, elapsed) {
+        if (options.onRender) options.onRender(app);
+        if (customRender) customRender(delta, elapsed);
+        else renderer.render(scene, camera);
+    }
+
+    /**
+     * Set the Renderer
+     * Replaces what the app draws in its render phase, e.g. with a post-processing pipeline, so the
+     * scene is not rendered twice. The pipeline must not be started on a scheduler of its own.
+     * @param {function|Object|null} renderable - A function called with (delta, elapsed), an object with a render(delta) method, or null to render the scene directly again
+     * @returns {Object} - The app
+     */
+    function setRenderer(renderable) {
+        if (!renderable) customRender = null;
+        else if (typeof renderable === 'function') customRender = renderable;
+        else customRender = (delta, elapsed) => renderable.render(delta, elapsed);
+        return app;
+    }
+
+    function start() {
+        if (running || disposed) return;
+        running = true;
+
+        removeCallbacks = [
+            stats && scheduler.add(() => stats.begin(), { phase: PHASES.INPUT, priority: -Infinity }),
+            controls && scheduler.add(() => controls.update(), { phase: PHASES.INPUT }),
+            scheduler.add(render, { phase: PHASES.RENDER }),
+            stats && scheduler.add(() => stats.end(), { phase: PHASES.POST_RENDER, priority: Infinity })
+        ].filter(Boolean);
+
+        if (ownsScheduler) scheduler.start();
+    }
+
+    function stop() {
+        if (!running) return;
+        running = false;
+
+        removeCallbacks.forEach(remove => remove());
+        removeCallbacks = [];
+
+        if (ownsScheduler) scheduler.stop();
+    }
+
+    function resize() {
+        if (disposed) return;
+        const size = getContainerSize(container);
+        camera.aspect = size.width / size.height;
+        camera.updateProjectionMatrix();
+        renderer.setSize(size.width, size.height);
+    }
+
+    function dispose() {
+        if (disposed) return;
+        stop();
+        disposed = true;
+
+        window.removeEventListener('resize', resize);
+        if (controls) controls.dispose();
+
+        disposeObject(scene);
+        scene.clear();
+
+        renderer.dispose();
+        renderer.domElement.remove();
+        if (stats) stats.dom.remove();
+    }
+
+    window.addEventListener('resize', resize);
+    resize();
+
+    const app = {
+        container,
+        scene,
+        camera,
+        renderer,
+        controls,
+        stats,
+        scheduler,
+        isRunning: () => running,
+        start,
+        stop,
+        resize,
+        render,
+        setRenderer,
+        dispose
+    };
+
+    if (options.render) setRenderer(options.render);
+
+    return app;
+}
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { getCameraTarget, moveCamera } from './camera.js';
+
+const HASH_PRECISION = 1000;
+
+function roundArray(vector) {
+    return vector.toArray().map(value => Math.round(value * HASH_PRECISION) / HASH_PRECISION);
+}
+
+function parseArray(value) {
+    const numbers = (value || '').split(',').map(Number);
+    return numbers.length === 3 && numbers.every(Number.isFinite) ? numbers : null;
+}
+
+// A malformed value would put NaN or a degenerate frustum into the camera, so it is left out
+function parsePositive(value) {
+    const number = value === null ? NaN : Number(value);
+    return Number.isFinite(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * Create Camera Bookmarks
+ * Named camera views (position, target, fov, zoom and projection type) that can be saved, restored
+ * with an animated camera move, serialised to JSON and shared as URL hash deep links.
+ * The bookmarks dispatch 'change' when the list changes and 'restore' when a view is restored.
+ * @param {THREE.Camera} camera - The camera to capture and restore
+ * @param {Object} options - Bookmark options
+ * @param {Object} options.rig - Camera rig from initCameraRig; its active camera is used and its projection restored
+ * @param {Object} options.controls - Controls driving the camera, kept in sync on restore
+ * @param {number} options.duration - Duration of an animated restore in milliseconds (default: 1500)
+ * @param {Object} options.scheduler - The scheduler camera moves run on (default: the shared scheduler)
+ * @returns {THREE.EventDispatcher} - The bookmarks
+ */
+export function createCameraBookmarks(camera, options = {}) {
+    const { rig = null, controls = null, duration = 1500, scheduler } = options;
+    const entries = new Map();
+    const getCamera = () => (rig ? rig.getCurrentCamera() : camera);
+
+    function capture(name) {
+        const activeCamera = getCamera();
+        return {
+            name,
+            position: roundArray(activeCamera.position),
+            target: roundArray(getCameraTarget(activeCamera, controls)),
+            fov: activeCamera.isPerspectiveCamera ? activeCamera.fov : undefined,
+            zoom: activeCamera.zoom,
+            projection: activeCamera.isOrthographicCamera ? 'orthographic' : 'perspective'
+        };
+    }
+
+    const bookmarks = Object.assign(new THREE.EventDispatcher(), {
+        /**
+         * Save the current view under a name, replacing any bookmark with the same name.
+         * @param {string} name - The bookmark name
+         * @returns {Object} - The saved bookmark
+         */
+        save(name) {
+            const bookmark = capture(name);
+            entries.set(name, bookmark);
+            bookmarks.dispatchEvent({ type: 'change' });
+            return bookmark;
+        },
+
+        remove(name) {
+            const removed = entries.delete(name);
+            if (removed) bookmarks.dispatchEvent({ type: 'change' });
+            return removed;
+        },
+
+        get: (name) => entries.get(name),
+
+        list: () => Array.from(entries.values()),
+
+        /**
+         * Restore a bookmark, animating the camera there unless animate is false.
+         * @param {string|Object} nameOrBookmark - The bookmark name or a bookmark object
+         * @param {Object} restoreOptions - Options: animate (default: true) and duration
+         * @returns {Promise<boolean>} - Resolves when the camera arrives, see moveCamera
+         */
+        restore(nameOrBookmark, restoreOptions = {}) {
+            const bookmark = typeof nameOrBookmark === 'string' ? entries.get(nameOrBookmark) : nameOrBookmark;
+            if (!bookmark) {
+                return Promise.reject(new Error(`Unknown camera bookmark "${nameOrBookmark}"`));
+            }
+
+            if (rig && bookmark.projection) {
+                rig.setProjection(bookmark.projection);
+            }
+
+            const activeCamera = getCamera();
+            const currentProjection = activeCamera.isOrthographicCamera ? 'orthographic' : 'perspective';
+            if (bookmark.projection && bookmark.projection !== currentProjection) {
+                console.warn(`Camera bookmark "${bookmark.name}" was saved with a ${bookmark.projection} camera`);
+            }
+
+            const animate = restoreOptions.animate !== false;
+            const move = moveCamera(activeCamera, {
+                position: new THREE.Vector3().fromArray(bookmark.position),
+                target: new THREE.Vector3().fromArray(bookmark.target),
+                fov: bookmark.fov,
+                zoom: bookmark.zoom,
+                duration: animate ? (restoreOptions.duration !== undefined ? restoreOptions.duration : duration) : 0,
+                controls,
+                scheduler
+            });
+
+            bookmarks.dispatchEvent({ type: 'restore', bookmark });
+            return move;
+        },
+
+        clear() {
+            entries.clear();
+            bookmarks.dispatchEvent({ type: 'change' });
+        },
+
+        toJSON: () => ({ version: 1, bookmarks: bookmarks.list() }),
+
+        /**
+         * Load bookmarks from JSON produced by toJSON, merging them into the current list.
+         * @param {Object|string} json - The parsed or raw JSON
+         */
+        fromJSON(json) {
+            const data = typeof json === 'string' ? JSON.parse(json) : json;
+            (data.bookmarks || []).forEach((bookmark) => {
+                if (!bookmark.name || !Array.isArray(bookmark.position) || !Array.isArray(bookmark.target)) {
+                    throw new Error('Camera bookmarks need a name, a position and a target');
+                }
+                entries.set(bookmark.name, { ...bookmark });
+            });
+            bookmarks.dispatchEvent({ type: 'change' });
+        },
+
+        /**
+         * Encode a bookmark (or the current view) as a URL hash.
+         * @param {string} name - The bookmark name; the current view is used when it is not saved
+         * @returns {string} - The hash, e.g. '#view=front&p=0,5,10&t=0,0,0&fov=75&zoom=1&proj=perspective'
+         */
+        toHash(name = 'view') {
+            const bookmark = entries.get(name) || capture(name);
+            const params = new URLSearchParams({
+                view: bookmark.name,
+                p: bookmark.position.join(','),
+                t: bookmark.target.join(',')
+            });
+            if (bookmark.fov !== undefined) params.set('fov', bookmark.fov);
+            params.set('zoom', bookmark.zoom);
+            params.set('proj', bookmark.projection);
+            return `#${params.toString().replace(/%2C/g, ',')}`;
+        },
+
+        /**
+         * Decode a URL hash produced by toHash.
+         * @param {string} hash - The hash to decode (default: window.location.hash)
+         * @returns {Object|null} - The bookmark, or null when the hash holds no view
+         */
+        parseHash(hash = window.location.hash) {
+            const params = new URLSearchParams(hash.replace(/^#/, ''));
+            const position = parseArray(params.get('p'));
+            const target = parseArray(params.get('t'));
+            if (!position || !target) return null;
+
+            return {
+                name: params.get('view') || 'view',
+                position,
+                target,
+                fov: parsePositive(params.get('fov')),
+                zoom: parsePositive(params.get('zoom')) || 1,
+                projection: params.get('proj') || 'perspective'
+            };
+        },
+
+        /**
+         * Restore the view from the page URL, if it has one.
+         * @param {Object} restoreOptions - Passed to restore (default: jump without animating)
+         * @returns {Promise<boolean>|null} - The camera move, or null when the URL holds no view
+         */
+        restoreFromHash(restoreOptions = { animate: false }) {
+            const bookmark = bookmarks.parseHash();
+            return bookmark ? bookmarks.restore(bookmark, restoreOptions) : null;
+        }
+    });
+
+    return bookmarks;
+}
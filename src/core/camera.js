@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { PHASES, getDefaultScheduler } from './scheduler.js';
+import { resolveEasing } from './timeline.js';
+import { createPathCurve } from './paths.js';
+import { getObjectBounds } from '../utils/helper.js';
 
 /**
  * Initialize a Perspective Camera
@@ -32,35 +36,129 @@ export function initOrthographicCamera(left = -5, right = 5, top = 5, bottom = -
     return camera;
 }
 
+/**
+ * Update Camera Aspect Ratio
+ * Sets the aspect of a perspective camera, or widens an orthographic frustum around its current
+ * vertical extent so the picture is not stretched.
+ * @param {THREE.Camera} camera - The camera to adjust
+ * @param {number} aspect - The new aspect ratio (width / height)
+ */
+export function updateCameraAspect(camera, aspect) {
+    if (camera.isPerspectiveCamera) {
+        camera.aspect = aspect;
+    } else if (camera.isOrthographicCamera) {
+        const halfHeight = (camera.top - camera.bottom) / 2;
+        const centerY = (camera.top + camera.bottom) / 2;
+        const centerX = (camera.left + camera.right) / 2;
+        camera.top = centerY + halfHeight;
+        camera.bottom = centerY - halfHeight;
+        camera.left = centerX - halfHeight * aspect;
+        camera.right = centerX + halfHeight * aspect;
+    }
+
+    camera.updateProjectionMatrix();
+}
+
 /**
  * Initialize a Camera Rig with multiple cameras
+ * Switches between a perspective and an orthographic camera at runtime while keeping the on-screen
+ * framing: the orthographic frustum is derived from the perspective fov and distance to the target,
+ * and the perspective camera is placed at the distance that matches the orthographic frustum.
+ * The controls and the RenderPasses of the composer are pointed at the active camera, and the rig
+ * dispatches a 'change' event with the new camera.
  * @param {THREE.PerspectiveCamera} perspectiveCamera - The perspective camera to include in the rig
  * @param {THREE.OrthographicCamera} orthographicCamera - The orthographic camera to include in the rig
- * @returns {Object} - An object containing both cameras and methods to switch between them
+ * @param {Object} options - Rig options
+ * @param {Object} options.controls - Controls driving the active camera, e.g. OrbitControls
+ * @param {EffectComposer} options.composer - Post-processing composer rendering the active camera
+ * @returns {THREE.EventDispatcher} - The rig, with both cameras and methods to switch between them
  */
-export function initCameraRig(perspectiveCamera, orthographicCamera) {
+export function initCameraRig(perspectiveCamera, orthographicCamera, options = {}) {
     let currentCamera = perspectiveCamera;
 
+    function getHalfFovTan() {
+        return Math.tan(THREE.MathUtils.degToRad(perspectiveCamera.fov) / 2);
+    }
+
+    function setCamera(nextCamera) {
+        if (nextCamera === currentCamera) return;
+
+        const previousCamera = currentCamera;
+        const target = getCameraTarget(previousCamera, rig.controls);
+        const distance = previousCamera.position.distanceTo(target);
+        const direction = previousCamera.getWorldDirection(new THREE.Vector3());
+
+        if (nextCamera.isOrthographicCamera) {
+            // Frustum height that shows what the perspective camera sees at the target distance
+            const halfHeight = (distance * getHalfFovTan()) / perspectiveCamera.zoom;
+            const aspect = perspectiveCamera.aspect;
+            nextCamera.top = halfHeight;
+            nextCamera.bottom = -halfHeight;
+            nextCamera.left = -halfHeight * aspect;
+            nextCamera.right = halfHeight * aspect;
+            nextCamera.zoom = 1;
+            nextCamera.position.copy(previousCamera.position);
+        } else {
+            // Distance at which the perspective frustum matches the visible orthographic height
+            const halfHeight = (previousCamera.top - previousCamera.bottom) / 2 / previousCamera.zoom;
+            const matchingDistance = halfHeight / getHalfFovTan();
+            nextCamera.zoom = 1;
+            nextCamera.position.copy(target).addScaledVector(direction, -matchingDistance);
+        }
+
+        nextCamera.quaternion.copy(previousCamera.quaternion);
+        nextCamera.updateProjectionMatrix();
+        currentCamera = nextCamera;
+
+        if (rig.controls) {
+            rig.controls.object = nextCamera;
+            if (rig.controls.update) rig.controls.update();
+        }
+        if (rig.composer) {
+            rig.composer.passes.forEach((pass) => {
+                if (pass.camera === previousCamera) pass.camera = nextCamera;
+            });
+        }
+
+        rig.dispatchEvent({ type: 'change', camera: nextCamera, previousCamera });
+    }
+
     const switchToPerspective = () => {
-        currentCamera = perspectiveCamera;
+        setCamera(perspectiveCamera);
     };
 
     const switchToOrthographic = () => {
-        currentCamera = orthographicCamera;
+        setCamera(orthographicCamera);
     };
 
-    return {
+    const rig = Object.assign(new THREE.EventDispatcher(), {
         perspectiveCamera,
         orthographicCamera,
+        controls: options.controls || null,
+        composer: options.composer || null,
         getCurrentCamera: () => currentCamera,
+        getProjection: () => (currentCamera.isOrthographicCamera ? 'orthographic' : 'perspective'),
+        setProjection: (projection) => setCamera(projection === 'orthographic' ? orthographicCamera : perspectiveCamera),
+        toggleProjection: () => setCamera(currentCamera === perspectiveCamera ? orthographicCamera : perspectiveCamera),
         switchToPerspective,
-        switchToOrthographic
-    };
+        switchToOrthographic,
+        /**
+         * Resize both projections for a new viewport size.
+         * @param {number} width - Viewport width
+         * @param {number} height - Viewport height
+         */
+        resize(width, height) {
+            updateCameraAspect(perspectiveCamera, width / height);
+            updateCameraAspect(orthographicCamera, width / height);
+        }
+    });
+
+    return rig;
 }
 
 /**
  * Handle Window Resize to adjust camera aspect ratio
- * @param {THREE.Camera} camera - The camera to adjust
+ * @param {THREE.Camera|Object} camera - The camera to adjust, or a camera rig
  * @param {THREE.WebGLRenderer} renderer - The renderer to adjust
  */
 export function onWindowResize(camera, renderer) {
@@ -68,65 +166,270 @@ export function onWindowResize(camera, renderer) {
         const width = window.innerWidth;
         const height = window.innerHeight;
 
-        if (camera.isPerspectiveCamera) {
-            camera.aspect = width / height;
-        } else if (camera.isOrthographicCamera) {
-            const aspect = width / height;
-            camera.left = -5 * aspect;
-            camera.right = 5 * aspect;
-            camera.top = 5;
-            camera.bottom = -5;
+        if (camera.resize) {
+            camera.resize(width, height);
+        } else {
+            updateCameraAspect(camera, width / height);
         }
 
-        camera.updateProjectionMatrix();
         renderer.setSize(width, height);
     });
 }
 
+/**
+ * Get the point a camera is looking at
+ * Uses the controls target when there are controls, otherwise the point at the given distance
+ * along the camera's viewing direction.
+ * @param {THREE.Camera} camera - The camera
+ * @param {Object} controls - Optional controls with a target (e.g. OrbitControls)
+ * @param {number} distance - Distance along the viewing direction when there is no controls target
+ * @returns {THREE.Vector3} - The look-at point in world space
+ */
+export function getCameraTarget(camera, controls = null, distance = 10) {
+    if (controls && controls.target) {
+        return controls.target.clone();
+    }
+    const direction = camera.getWorldDirection(new THREE.Vector3());
+    return camera.getWorldPosition(new THREE.Vector3()).addScaledVector(direction, distance);
+}
+
+const activeCameraMoves = new WeakMap();
+
+/**
+ * Move a Camera
+ * Interpolates the camera position and look-at target together, optionally along a curve, along with
+ * fov and zoom. Attached controls are paused during the move and handed the final target, so they
+ * take over without a jump. Starting a new move on the same camera cancels the running one.
+ * @param {THREE.Camera} camera - The camera to move
+ * @param {Object} options - Move options; anything left out keeps its current value
+ * @param {THREE.Vector3} options.position - The position to move to
+ * @param {THREE.Vector3} options.target - The point to look at when the move ends
+ * @param {number} options.fov - The final field of view of a perspective camera
+ * @param {number} options.zoom - The final zoom of the camera
+ * @param {Array<THREE.Vector3>|THREE.Curve} options.path - Points to pass through between start and end, or a full curve for the position
+ * @param {number} options.duration - The duration of the move in milliseconds (default: 2000)
+ * @param {function|string} options.easing - Easing function or name, see resolveEasing (default: 'Quadratic.InOut')
+ * @param {Object} options.controls - Controls driving the camera, e.g. OrbitControls
+ * @param {AbortSignal} options.signal - Cancels the move when aborted
+ * @param {Object} options.scheduler - The scheduler to run on (default: the shared scheduler)
+ * @returns {Promise<boolean>} - Resolves true when the move completes or false when it is cancelled; has a cancel() method
+ */
+export function moveCamera(camera, options = {}) {
+    const {
+        controls = null,
+        duration = 2000,
+        easing = 'Quadratic.InOut',
+        scheduler = getDefaultScheduler(),
+        signal = null
+    } = options;
+    const ease = resolveEasing(easing);
+
+    const previousMove = activeCameraMoves.get(camera);
+    if (previousMove) previousMove.cancel();
+
+    const startPosition = camera.position.clone();
+    const startTarget = getCameraTarget(camera, controls, options.target ? startPosition.distanceTo(options.target) : 10);
+    const endPosition = options.position ? options.position.clone() : startPosition.clone();
+    const endTarget = options.target ? options.target.clone() : startTarget.clone();
+    const startFov = camera.fov;
+    const startZoom = camera.zoom;
+
+    let curve = null;
+    if (options.path && options.path.isCurve) {
+        curve = options.path;
+    } else if (options.path) {
+        curve = createPathCurve([startPosition, ...options.path, endPosition]);
+    }
+
+    const target = startTarget.clone();
+    const controlsEnabled = controls ? controls.enabled : false;
+    if (controls) controls.enabled = false;
+
+    let elapsed = 0;
+    let removeUpdate = null;
+    let settle = null;
+
+    const promise = new Promise((resolve) => {
+        settle = resolve;
+    });
+
+    function apply(alpha) {
+        if (alpha === 1 && curve !== options.path) {
+            // Arc-length sampling is approximate, so land exactly on the requested position
+            camera.position.copy(endPosition);
+        } else if (curve) {
+            curve.getPointAt(alpha, camera.position);
+        } else {
+            camera.position.lerpVectors(startPosition, endPosition, alpha);
+        }
+        target.lerpVectors(startTarget, endTarget, alpha);
+
+        if (camera.isPerspectiveCamera && options.fov !== undefined) {
+            camera.fov = THREE.MathUtils.lerp(startFov, options.fov, alpha);
+        }
+        if (options.zoom !== undefined) {
+            camera.zoom = THREE.MathUtils.lerp(startZoom, options.zoom, alpha);
+        }
+        camera.updateProjectionMatrix();
+        camera.lookAt(target);
+    }
+
+    function finish(completed) {
+        if (!removeUpdate) return;
+        removeUpdate();
+        removeUpdate = null;
+        activeCameraMoves.delete(camera);
+        if (signal) signal.removeEventListener('abort', promise.cancel);
+
+        // Hand the camera back to the controls where the move left it
+        if (controls) {
+            if (controls.target) controls.target.copy(target);
+            controls.enabled = controlsEnabled;
+            if (controls.update) controls.update();
+        }
+        settle(completed);
+    }
+
+    function update(delta) {
+        elapsed += delta * 1000;
+        const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+        apply(ease(progress));
+        if (progress === 1) finish(true);
+    }
+
+    promise.cancel = () => finish(false);
+
+    removeUpdate = scheduler.add(update, { phase: PHASES.ANIMATION });
+    activeCameraMoves.set(camera, promise);
+
+    if (signal) {
+        if (signal.aborted) {
+            promise.cancel();
+        } else {
+            signal.addEventListener('abort', promise.cancel);
+        }
+    }
+
+    return promise;
+}
+
 /**
  * Smoothly transition between two camera positions and orientations
  * @param {THREE.Camera} camera - The camera to animate
  * @param {THREE.Vector3} targetPosition - The target position to move to
  * @param {THREE.Vector3} targetLookAt - The target point to look at
  * @param {number} duration - The duration of the transition in milliseconds
+ * @param {Object} controls - Optional controls to keep in sync with the camera
+ * @returns {Promise<boolean>} - Resolves when the transition ends, see moveCamera
  */
-export function transitionCamera(camera, targetPosition, targetLookAt, duration = 2000) {
-    const startPosition = camera.position.clone();
-    const startLookAt = camera.getWorldDirection(new THREE.Vector3()).clone();
-
-    const positionTween = new TWEEN.Tween(startPosition)
-        .to(targetPosition, duration)
-        .easing(TWEEN.Easing.Quadratic.InOut)
-        .onUpdate(() => {
-            camera.position.copy(startPosition);
-        });
-
-    const lookAtTween = new TWEEN.Tween(startLookAt)
-        .to(targetLookAt, duration)
-        .easing(TWEEN.Easing.Quadratic.InOut)
-        .onUpdate(() => {
-            camera.lookAt(startLookAt);
-        });
-
-    positionTween.start();
-    lookAtTween.start();
+export function transitionCamera(camera, targetPosition, targetLookAt, duration = 2000, controls = null) {
+    return moveCamera(camera, { position: targetPosition, target: targetLookAt, duration, controls });
 }
 
 /**
  * Lock Camera to an object, making the camera follow the object's position and rotation
  * @param {THREE.Camera} camera - The camera to lock
  * @param {THREE.Object3D} object - The object to follow
+ * @param {Object} scheduler - The scheduler to run on (default: the shared scheduler)
+ * @returns {function} - Call to unlock the camera
  */
-export function lockCameraToObject(camera, object) {
+export function lockCameraToObject(camera, object, scheduler = getDefaultScheduler()) {
     const updateCamera = () => {
         camera.position.copy(object.position);
         camera.quaternion.copy(object.quaternion);
     };
 
-    const renderLoop = () => {
-        updateCamera();
-        requestAnimationFrame(renderLoop);
-    };
+    // Runs after every animation has moved the object, right before rendering
+    return scheduler.add(updateCamera, { phase: PHASES.RENDER, priority: -Infinity });
+}
+
+/**
+ * Frame an Object
+ * Places the camera so an object (or bounding box) fills the view, keeping the current viewing
+ * direction, and fits the near and far planes to the object's size. Perspective cameras move to
+ * the distance where every corner of the bounding box is inside the frustum; orthographic cameras
+ * are centred on the object and zoomed to fit.
+ * @param {THREE.Camera} camera - The camera to place
+ * @param {Object} controls - Optional controls whose target is moved to the object's center
+ * @param {THREE.Object3D|THREE.Box3} object - The object or bounding box to frame
+ * @param {Object} options - Framing options
+ * @param {number} options.padding - Extra space around the object, as a fraction of its size (default: 0.1)
+ * @param {boolean} options.animate - Whether to move the camera there with moveCamera (default: false)
+ * @param {number} options.duration - Duration of the animated move in milliseconds (default: 1000)
+ * @param {THREE.Vector3} options.direction - Viewing direction to use instead of the current one
+ * @param {Object} options.scheduler - The scheduler the animated move runs on (default: the shared scheduler)
+ * @returns {Promise<boolean>} - Resolves true once the camera is in place, see moveCamera
+ */
+export function frameObject(camera, controls, object, options = {}) {
+    const { padding = 0.1, animate = false, duration = 1000, scheduler } = options;
+    const { box, sphere, center } = getObjectBounds(object);
+
+    if (box.isEmpty()) {
+        return Promise.resolve(false);
+    }
+
+    const radius = Math.max(sphere.radius, 1e-6);
+    const direction = options.direction
+        ? options.direction.clone().normalize()
+        : center.clone().sub(camera.position).normalize();
+    if (direction.lengthSq() === 0) {
+        direction.set(0, 0, -1);
+    }
 
-    renderLoop();
-}
\ No newline at end of file
+    // Camera orientation once it looks at the center, used to measure the box in view space
+    const orientation = new THREE.Matrix4().lookAt(new THREE.Vector3(), direction, camera.up);
+    const inverse = orientation.clone().invert();
+    const corners = [];
+    for (let i = 0; i < 8; i++) {
+        const corner = new THREE.Vector3(
+            i & 1 ? box.max.x : box.min.x,
+            i & 2 ? box.max.y : box.min.y,
+            i & 4 ? box.max.z : box.min.z
+        );
+        corners.push(corner.sub(center).applyMatrix4(inverse).multiplyScalar(1 + padding));
+    }
+
+    let distance;
+    let zoom = camera.zoom;
+
+    if (camera.isOrthographicCamera) {
+        const aspect = (camera.right - camera.left) / (camera.top - camera.bottom);
+        const halfHeight = corners.reduce((max, corner) => Math.max(max, Math.abs(corner.y), Math.abs(corner.x) / aspect), 0);
+        zoom = (camera.top - camera.bottom) / 2 / halfHeight;
+        distance = radius * 2;
+    } else {
+        const tanV = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / camera.zoom;
+        const tanH = tanV * camera.aspect;
+        // Corners in front of the center (positive z faces the camera) need the camera further back
+        distance = corners.reduce((max, corner) => Math.max(
+            max,
+            Math.abs(corner.x) / tanH + corner.z,
+            Math.abs(corner.y) / tanV + corner.z
+        ), 0);
+    }
+
+    const position = center.clone().addScaledVector(direction, -distance);
+    const near = Math.max(radius * 0.01, 1e-4);
+    const far = (distance + radius) * 10;
+
+    // Widen the clip range for the move and tighten it once the camera has arrived
+    camera.near = Math.min(camera.near, near);
+    camera.far = Math.max(camera.far, far);
+    camera.updateProjectionMatrix();
+
+    return moveCamera(camera, {
+        position,
+        target: center,
+        zoom,
+        controls,
+        duration: animate ? duration : 0,
+        scheduler
+    }).then((completed) => {
+        if (completed) {
+            camera.near = near;
+            camera.far = far;
+            camera.updateProjectionMatrix();
+        }
+        return completed;
+    });
+}
@@ -1,6 +1,8 @@
+import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { FirstPersonControls } from 'three/examples/jsm/controls/FirstPersonControls.js';
 import { FlyControls } from 'three/examples/jsm/controls/FlyControls.js';
+import { createInputActions } from '../utils/input.js';
 
 /**
  * Initialize Orbit Controls
@@ -51,75 +53,47 @@ export function initFlyControls(camera, domElement) {
 
 /**
  * Custom Keyboard Controls
- * A simple setup for custom keyboard-based camera controls.
+ * A simple setup for custom keyboard-based camera controls, driven by input actions so the keys can
+ * be rebound and gamepads work too. Forward, backward, left and right follow the direction the
+ * camera faces (kept level with the ground); up and down follow the world up axis.
  * @param {THREE.Camera} camera - The camera to control
- * @param {number} speed - The speed of the camera movement
- * @returns {function} - The function to be called in the render loop for updating the camera position
+ * @param {number} speed - The speed of the camera movement in units per second
+ * @param {Object} input - Input actions from createInputActions (default: new input actions with the default keymap)
+ * @returns {function} - The function to be called in the render loop with the frame delta in seconds; its input
+ * property holds the input actions and dispose() removes the ones created here
  */
-export function initCustomKeyboardControls(camera, speed = 0.1) {
-    const keys = {
-        forward: false,
-        backward: false,
-        left: false,
-        right: false,
-        up: false,
-        down: false
-    };
+export function initCustomKeyboardControls(camera, speed = 6, input = null) {
+    const ownsInput = !input;
+    const actions = input || createInputActions();
+    const forward = new THREE.Vector3();
+    const right = new THREE.Vector3();
+    const movement = new THREE.Vector3();
 
-    window.addEventListener('keydown', (event) => {
-        switch (event.key) {
-            case 'w':
-                keys.forward = true;
-                break;
-            case 's':
-                keys.backward = true;
-                break;
-            case 'a':
-                keys.left = true;
-                break;
-            case 'd':
-                keys.right = true;
-                break;
-            case 'q':
-                keys.up = true;
-                break;
-            case 'e':
-                keys.down = true;
-                break;
+    function updateCameraPosition(delta = 1 / 60) {
+        camera.getWorldDirection(forward);
+        forward.y = 0;
+        if (forward.lengthSq() === 0) {
+            // Looking straight up or down: fall back to the camera's own up vector for "forward"
+            forward.set(0, 1, 0).applyQuaternion(camera.quaternion).setY(0);
         }
-    });
+        forward.normalize();
+        right.crossVectors(forward, camera.up).normalize();
 
-    window.addEventListener('keyup', (event) => {
-        switch (event.key) {
-            case 'w':
-                keys.forward = false;
-                break;
-            case 's':
-                keys.backward = false;
-                break;
-            case 'a':
-                keys.left = false;
-                break;
-            case 'd':
-                keys.right = false;
-                break;
-            case 'q':
-                keys.up = false;
-                break;
-            case 'e':
-                keys.down = false;
-                break;
-        }
-    });
+        movement.set(0, 0, 0)
+            .addScaledVector(forward, actions.getAxis('moveBackward', 'moveForward'))
+            .addScaledVector(right, actions.getAxis('moveLeft', 'moveRight'));
+        if (movement.lengthSq() > 1) movement.normalize();
+        movement.y += actions.getAxis('moveDown', 'moveUp');
+
+        camera.position.addScaledVector(movement, speed * delta);
+    }
 
-    return function updateCameraPosition() {
-        if (keys.forward) camera.position.z -= speed;
-        if (keys.backward) camera.position.z += speed;
-        if (keys.left) camera.position.x -= speed;
-        if (keys.right) camera.position.x += speed;
-        if (keys.up) camera.position.y += speed;
-        if (keys.down) camera.position.y -= speed;
+    updateCameraPosition.input = actions;
+    updateCameraPosition.dispose = () => {
+        // Input actions passed in belong to the caller
+        if (ownsInput) actions.dispose();
     };
+    return updateCameraPosition;
 }
 
 /**
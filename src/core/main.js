@@ -1,32 +1,18 @@
-import * as THREE from 'three';
-import { initScene, addGridHelper, addAxesHelper } from './scene.js';
-import { initPerspectiveCamera } from './camera.js';
-import { initRenderer, onWindowResize } from './renderer.js';
-import { initOrbitControls } from './controls.js';
+import { createApp } from './app.js';
+import { addGridHelper, addAxesHelper } from './scene.js';
+import { frameObject } from './camera.js';
 import { initAmbientLight, initDirectionalLight } from './lighting.js';
-import { handleWindowResize } from './eventListeners.js';
-import { initPerformanceMonitor, optimizeRenderLoop } from './performance.js';
-import { loadGLTFModel } from './loader.js';
-
-let scene, camera, renderer, controls, stats;
+import { createAnimationController } from './animationController.js';
+import { loadGLTFModel } from '../utils/loader.js';
+import { getDefaultAssetManager } from '../utils/assets.js';
 
 function init() {
-    // Initialize the scene
-    scene = initScene({ backgroundColor: 0x000000 });
-
-    // Initialize the camera
-    camera = initPerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.set(0, 5, 10);
-
-    // Initialize the renderer
-    renderer = initRenderer({ antialias: true });
-    document.body.appendChild(renderer.domElement);
+    // Create the app (scene, camera, renderer, controls and stats)
+    const app = createApp({ container: document.body });
+    const { scene, camera, controls, renderer } = app;
 
-    // Initialize controls
-    controls = initOrbitControls(camera, renderer.domElement);
-
-    // Initialize performance monitor
-    stats = initPerformanceMonitor();
+    // Let the loaders pick a KTX2 texture format this GPU supports
+    getDefaultAssetManager().setRenderer(renderer);
 
     // Add lights
     const ambientLight = initAmbientLight(0xffffff, 0.5);
@@ -40,28 +26,25 @@ function init() {
     addGridHelper(scene);
     addAxesHelper(scene);
 
-    // Load models
-    loadGLTFModel('path/to/your/model.gltf').then((model) => {
+    // Load models; a model that fails to load is replaced by a placeholder and shown on the error overlay
+    loadGLTFModel('assets/models/your-model.gltf').then((model) => {
         scene.add(model);
+        frameObject(camera, controls, model, { animate: true, scheduler: app.scheduler });
+
+        // Play the model's first animation clip, if it has any, in step with the app's render loop
+        if (model.animations.length > 0) {
+            const animations = createAnimationController(model, { scheduler: app.scheduler });
+            animations.play(animations.getClips()[0]);
+        }
+    }).catch((error) => {
+        // Only reached when the model fallback is turned off; the loader has already reported the error
+        console.warn('Continuing without the model', error);
     });
 
-    // Handle window resize
-    handleWindowResize(camera, renderer);
-
     // Start rendering loop
-    optimizeRenderLoop(render);
-}
-
-function render() {
-    stats.begin();
-
-    // Update controls
-    controls.update();
-
-    // Render the scene
-    renderer.render(scene, camera);
+    app.start();
 
-    stats.end();
+    return app;
 }
 
-init();
\ No newline at end of file
+init();
@@ -0,0 +1,221 @@
+import * as THREE from 'three';
+import { createLine } from '../components/objects.js';
+import { PHASES, getDefaultScheduler } from './scheduler.js';
+import { PLAYBACK_MODES } from './timeline.js';
+
+/**
+ * Create a Path Curve
+ * Builds a curve through (or controlled by) a list of points.
+ * - 'catmullrom': a smooth curve passing through every point
+ * - 'bezier': cubic Bezier segments, points given as [start, control1, control2, end, control1, control2, end, ...]
+ * - 'linear': straight segments between the points
+ * @param {Array<THREE.Vector3>} points - The points defining the curve
+ * @param {Object} options - Curve options
+ * @param {string} options.type - 'catmullrom', 'bezier' or 'linear' (default: 'catmullrom')
+ * @param {boolean} options.closed - Whether a Catmull-Rom curve closes back on itself (default: false)
+ * @param {string} options.curveType - Catmull-Rom variant: 'centripetal', 'chordal' or 'catmullrom' (default: 'centripetal')
+ * @param {number} options.tension - Tension of a 'catmullrom' variant curve (default: 0.5)
+ * @returns {THREE.Curve} - The created curve
+ */
+export function createPathCurve(points, options = {}) {
+    const { type = 'catmullrom', closed = false, curveType = 'centripetal', tension = 0.5 } = options;
+
+    if (type === 'catmullrom') {
+        return new THREE.CatmullRomCurve3(points, closed, curveType, tension);
+    }
+
+    const path = new THREE.CurvePath();
+
+    if (type === 'bezier') {
+        if (points.length < 4 || (points.length - 1) % 3 !== 0) {
+            throw new Error('A Bezier path needs 3n + 1 points: a start point followed by (control1, control2, end) triples');
+        }
+        for (let i = 0; i + 3 < points.length; i += 3) {
+            path.add(new THREE.CubicBezierCurve3(points[i], points[i + 1], points[i + 2], points[i + 3]));
+        }
+    } else if (type === 'linear') {
+        for (let i = 0; i + 1 < points.length; i++) {
+            path.add(new THREE.LineCurve3(points[i], points[i + 1]));
+        }
+    } else {
+        throw new Error(`Unknown path type "${type}"`);
+    }
+
+    return path;
+}
+
+/**
+ * Create a Path Helper
+ * Visualises a curve as a line, e.g. while authoring a camera path.
+ * @param {THREE.Curve} curve - The curve to visualise
+ * @param {number} divisions - Number of line segments sampled along the curve (default: 200)
+ * @param {THREE.Material} material - The material to apply to the line
+ * @returns {THREE.Line} - The created line
+ */
+export function createPathHelper(curve, divisions = 200, material = new THREE.LineBasicMaterial({ color: 0xffff00 })) {
+    return createLine(curve.getSpacedPoints(divisions), material);
+}
+
+const _matrix = new THREE.Matrix4();
+const _ahead = new THREE.Vector3();
+const _tangent = new THREE.Vector3();
+const _nextTangent = new THREE.Vector3();
+const _turn = new THREE.Vector3();
+const _roll = new THREE.Quaternion();
+const _forward = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Create a Path Follower
+ * Moves an object along a curve at a constant speed measured along the arc length, optionally
+ * turning it to face the direction of travel and banking it into turns.
+ * The follower dispatches 'progress' (with progress and distance), 'loop', 'complete', 'start' and 'stop' events.
+ * @param {THREE.Object3D} object - The object to move
+ * @param {THREE.Curve|Array<THREE.Vector3>} path - A curve, or points passed to createPathCurve
+ * @param {Object} options - Follower options (points are also forwarded to createPathCurve)
+ * @param {number} options.speed - Units per second along the curve (default: 1)
+ * @param {number} options.duration - Seconds for one full run; overrides speed when set
+ * @param {string} options.mode - One of PLAYBACK_MODES (default: 'once')
+ * @param {boolean} options.orient - Whether to turn the object toward the direction of travel (default: true)
+ * @param {number} options.lookAhead - Distance ahead on the curve the object looks at (default: 0.1)
+ * @param {THREE.Vector3} options.up - Up vector used when orienting (default: the object's up)
+ * @param {number} options.bank - Roll in radians per unit of curvature; 0 disables banking (default: 0)
+ * @param {number} options.maxBank - Largest bank angle in radians (default: Math.PI / 4)
+ * @param {Object|null} options.scheduler - Scheduler that advances the follower while it runs; null to call update() yourself (default: the shared scheduler)
+ * @returns {THREE.EventDispatcher} - The path follower
+ */
+export function createPathFollower(object, path, options = {}) {
+    const curve = Array.isArray(path) ? createPathCurve(path, options) : path;
+    const scheduler = options.scheduler === undefined ? getDefaultScheduler() : options.scheduler;
+    const {
+        mode = PLAYBACK_MODES.ONCE,
+        orient = true,
+        lookAhead = 0.1,
+        up = object.up,
+        bank = 0,
+        maxBank = Math.PI / 4
+    } = options;
+
+    const length = curve.getLength();
+    let removeUpdate = null;
+
+    function wrap(u) {
+        if (mode === PLAYBACK_MODES.LOOP) {
+            return THREE.MathUtils.euclideanModulo(u, 1);
+        }
+        return THREE.MathUtils.clamp(u, 0, 1);
+    }
+
+    function apply() {
+        const u = follower.progress;
+        curve.getPointAt(u, object.position);
+
+        if (!orient || length === 0) return;
+
+        // Look at a point slightly further along the direction of travel
+        const step = (lookAhead / length) * follower.direction;
+        let aheadU = wrap(u + step);
+        if (aheadU === u) {
+            aheadU = wrap(u - step);
+            curve.getPointAt(aheadU, _ahead);
+            _ahead.lerp(object.position, 2);
+        } else {
+            curve.getPointAt(aheadU, _ahead);
+        }
+
+        if (object.isCamera || object.isLight) {
+            _matrix.lookAt(object.position, _ahead, up);
+        } else {
+            _matrix.lookAt(_ahead, object.position, up);
+        }
+        object.quaternion.setFromRotationMatrix(_matrix);
+
+        if (bank !== 0) {
+            // Signed turn rate around the up vector, used to roll into the curve
+            curve.getTangentAt(u, _tangent);
+            curve.getTangentAt(wrap(u + step), _nextTangent);
+            const curvature = _turn.crossVectors(_tangent, _nextTangent).dot(up) * follower.direction / lookAhead;
+            const angle = THREE.MathUtils.clamp(-curvature * bank, -maxBank, maxBank);
+            object.quaternion.multiply(_roll.setFromAxisAngle(_forward, angle));
+        }
+    }
+
+    const follower = Object.assign(new THREE.EventDispatcher(), {
+        curve,
+        length,
+        progress: 0,
+        direction: 1,
+        playing: false,
+        speed: options.duration ? length / options.duration : (options.speed || 1),
+
+        getDistance: () => follower.progress * length,
+
+        update(delta) {
+            // Paused frames and the first frame after start() have no delta, and must not count as an end
+            if (!follower.playing || length === 0 || delta === 0) return;
+
+            let progress = follower.progress + (follower.speed * delta * follower.direction) / length;
+            let finished = false;
+
+            if (follower.direction > 0 ? progress >= 1 : progress <= 0) {
+                if (mode === PLAYBACK_MODES.LOOP) {
+                    progress = THREE.MathUtils.euclideanModulo(progress, 1);
+                    follower.dispatchEvent({ type: 'loop' });
+                } else if (mode === PLAYBACK_MODES.PING_PONG) {
+                    progress = progress >= 1 ? 2 - progress : -progress;
+                    follower.direction *= -1;
+                    follower.dispatchEvent({ type: 'loop' });
+                } else {
+                    progress = THREE.MathUtils.clamp(progress, 0, 1);
+                    finished = true;
+                }
+            }
+
+            follower.seek(progress);
+
+            if (finished) {
+                follower.stop();
+                follower.dispatchEvent({ type: 'complete' });
+            }
+        },
+
+        /**
+         * Jump to a position on the curve.
+         * @param {number} progress - Position along the arc length, from 0 to 1
+         * @returns {Object} - The follower, for chaining
+         */
+        seek(progress) {
+            follower.progress = THREE.MathUtils.clamp(progress, 0, 1);
+            apply();
+            follower.dispatchEvent({ type: 'progress', progress: follower.progress, distance: follower.getDistance() });
+            return follower;
+        },
+
+        start() {
+            if (follower.playing) return follower;
+            follower.playing = true;
+            if (scheduler) {
+                removeUpdate = scheduler.add(follower.update, { phase: PHASES.ANIMATION });
+            }
+            follower.dispatchEvent({ type: 'start' });
+            return follower;
+        },
+
+        stop() {
+            if (!follower.playing) return follower;
+            follower.playing = false;
+            if (removeUpdate) {
+                removeUpdate();
+                removeUpdate = null;
+            }
+            follower.dispatchEvent({ type: 'stop' });
+            return follower;
+        },
+
+        reverse() {
+            follower.direction *= -1;
+            return follower;
+        }
+    });
+
+    return follower;
+}
@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { AnaglyphEffect } from 'three/examples/jsm/effects/AnaglyphEffect.js';
+import { PHASES, getDefaultScheduler } from './scheduler.js';
+import { updateCameraAspect } from './camera.js';
+import { installShaderErrorHandler } from '../utils/shaderErrors.js';
 
 /**
  * Initialize the WebGL Renderer
@@ -6,6 +10,7 @@ import * as THREE from 'three';
  * @param {Object} options - Options for configuring the renderer
  * @param {boolean} options.antialias - Whether to enable antialiasing (default: true)
  * @param {boolean} options.shadowMap - Whether to enable shadow map (default: true)
+ * @param {boolean} options.shaderErrors - Map shader compile errors to their source files and show the error shader on failing materials (default: true)
  * @param {HTMLElement} container - The HTML container element to append the renderer to
  * @returns {THREE.WebGLRenderer} - The created WebGL renderer
  */
@@ -18,6 +23,7 @@ export function initRenderer(options = {}, container = document.body) {
     renderer.setPixelRatio(window.devicePixelRatio);
     renderer.shadowMap.enabled = options.shadowMap !== undefined ? options.shadowMap : true;
     renderer.shadowMap.type = THREE.PCFSoftShadowMap; // Default shadow map type
+    if (options.shaderErrors !== false) installShaderErrorHandler(renderer);
     container.appendChild(renderer.domElement);
 
     return renderer;
@@ -34,18 +40,7 @@ export function onWindowResize(renderer, camera) {
         const width = window.innerWidth;
         const height = window.innerHeight;
         renderer.setSize(width, height);
-
-        if (camera.isPerspectiveCamera) {
-            camera.aspect = width / height;
-        } else if (camera.isOrthographicCamera) {
-            const aspect = width / height;
-            camera.left = -5 * aspect;
-            camera.right = 5 * aspect;
-            camera.top = 5;
-            camera.bottom = -5;
-        }
-
-        camera.updateProjectionMatrix();
+        updateCameraAspect(camera, width / height);
     });
 }
 
@@ -78,19 +73,19 @@ export function enableVR(renderer) {
  * Enable Stereo Rendering (Anaglyph 3D)
  * Configures the renderer for stereo anaglyph rendering.
  * @param {THREE.WebGLRenderer} renderer - The WebGL renderer to configure
+ * @param {THREE.Scene} scene - The scene to render
  * @param {THREE.Camera} camera - The camera to use for stereo rendering
- * @returns {THREE.AnaglyphEffect} - The configured anaglyph effect
+ * @param {Object} scheduler - The scheduler to render on (default: the shared scheduler)
+ * @returns {AnaglyphEffect} - The configured anaglyph effect, with a stop() method to end rendering
  */
-export function enableStereoRendering(renderer, camera) {
-    const effect = new THREE.AnaglyphEffect(renderer);
+export function enableStereoRendering(renderer, scene, camera, scheduler = getDefaultScheduler()) {
+    const effect = new AnaglyphEffect(renderer);
     effect.setSize(window.innerWidth, window.innerHeight);
-    
-    function render() {
+
+    effect.stop = scheduler.add(() => {
         effect.render(scene, camera);
-        requestAnimationFrame(render);
-    }
-    
-    render();
+    }, { phase: PHASES.RENDER });
+
     return effect;
 }
 
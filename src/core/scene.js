@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { disposeObject, disposeObjects } from '../utils/resources.js';
 
 /**
  * Initialize the Scene
@@ -48,6 +49,7 @@ export function addFog(scene, color = 0xffffff, near = 1, far = 1000) {
  */
 export function addGridHelper(scene, size = 10, divisions = 10, colorCenterLine = 0x444444, colorGrid = 0x888888) {
     const gridHelper = new THREE.GridHelper(size, divisions, colorCenterLine, colorGrid);
+    tagObject(gridHelper, 'helper');
     scene.add(gridHelper);
     return gridHelper;
 }
@@ -61,6 +63,7 @@ export function addGridHelper(scene, size = 10, divisions = 10, colorCenterLine
  */
 export function addAxesHelper(scene, size = 5) {
     const axesHelper = new THREE.AxesHelper(size);
+    tagObject(axesHelper, 'helper');
     scene.add(axesHelper);
     return axesHelper;
 }
@@ -77,32 +80,265 @@ export function addObjectToScene(scene, object) {
 
 /**
  * Remove an Object from the Scene
- * Removes a Three.js object from the scene.
+ * Removes a Three.js object from the scene and disposes its resources with disposeObject; materials
+ * and textures still used elsewhere in the scene are kept.
  * @param {THREE.Scene} scene - The scene to remove the object from
  * @param {THREE.Object3D} object - The object to remove from the scene
  */
 export function removeObjectFromScene(scene, object) {
-    scene.remove(object);
-    object.geometry.dispose();
-    if (object.material) {
-        if (Array.isArray(object.material)) {
-            object.material.forEach(mat => mat.dispose());
-        } else {
-            object.material.dispose();
-        }
-    }
+    // disposeObject detaches the object itself, after noting what the rest of the scene still uses
+    disposeObject(object, { root: scene });
 }
 
+/**
+ * Check whether an Object is a Helper
+ * True for the built-in helpers (GridHelper, AxesHelper, light and camera helpers) and anything tagged 'helper'.
+ * @param {THREE.Object3D} object - The object to check
+ * @returns {boolean} - Whether the object is a helper
+ */
+export function isHelper(object) {
+    return object.type.endsWith('Helper') || hasTag(object, 'helper');
+}
+
+/**
+ * Filters for clearScene
+ * - all: remove everything
+ * - keepHelpers: keep grid, axes and other helpers
+ * - keepHelpersAndLights: keep helpers and lights, remove the content
+ */
+export const CLEAR_FILTERS = Object.freeze({
+    all: () => true,
+    keepHelpers: object => !isHelper(object),
+    keepHelpersAndLights: object => !isHelper(object) && !object.isLight
+});
+
 /**
  * Clear the Scene
- * Removes all objects from the scene.
+ * Removes objects from the scene, or only the top-level objects accepted by a filter.
  * @param {THREE.Scene} scene - The scene to clear
+ * @param {function|string} filter - Predicate or selector for the objects to remove, e.g. CLEAR_FILTERS.keepHelpersAndLights (default: remove everything)
+ */
+export function clearScene(scene, filter = CLEAR_FILTERS.all) {
+    const matches = typeof filter === 'string' ? parseSelector(filter) : null;
+    // Disposed together, so what the remaining objects use is only collected once
+    disposeObjects(scene.children.filter(object => (matches ? matchesSelector(object, matches, scene) : filter(object))));
+}
+
+/**
+ * Tag an Object
+ * Tags are stored in object.userData.tags so they survive cloning and toJSON.
+ * @param {THREE.Object3D} object - The object to tag
+ * @param {...string} tags - The tags to add
+ * @returns {THREE.Object3D} - The object
+ */
+export function tagObject(object, ...tags) {
+    const current = getTags(object);
+    object.userData.tags = [...current, ...tags.filter(tag => !current.includes(tag))];
+    return object;
+}
+
+/**
+ * Remove Tags from an Object
+ * @param {THREE.Object3D} object - The object
+ * @param {...string} tags - The tags to remove
+ * @returns {THREE.Object3D} - The object
  */
-export function clearScene(scene) {
-    while (scene.children.length > 0) {
-        const object = scene.children[0];
-        removeObjectFromScene(scene, object);
+export function untagObject(object, ...tags) {
+    object.userData.tags = getTags(object).filter(tag => !tags.includes(tag));
+    return object;
+}
+
+export function hasTag(object, tag) {
+    return getTags(object).includes(tag);
+}
+
+export function getTags(object) {
+    return Array.isArray(object.userData.tags) ? object.userData.tags : [];
+}
+
+const SIMPLE_SELECTOR = /#"([^"]*)"|#([^\s.#>,"]+)|\.([^\s.#>,"]+)|type:([A-Za-z0-9_]+)|(\*)/y;
+
+/**
+ * Parse a selector into groups of compound selectors joined by combinators.
+ * @param {string} selector - The selector string
+ * @returns {Array<Array<Object>>} - One list of { combinator, tests } steps per comma-separated group
+ */
+function parseSelector(selector) {
+    const groups = [];
+    let steps = [];
+    let combinator = null;
+    let tests = null;
+    let position = 0;
+
+    const fail = () => {
+        throw new Error(`Invalid selector "${selector}" at position ${position}`);
+    };
+    const endCompound = () => {
+        if (tests) steps.push({ combinator, tests });
+        combinator = null;
+        tests = null;
+    };
+
+    while (position < selector.length) {
+        const char = selector[position];
+
+        if (/\s/.test(char) || char === '>' || char === ',') {
+            const start = position;
+            while (position < selector.length && /\s/.test(selector[position])) position++;
+            const symbol = selector[position];
+
+            if (symbol === '>' || symbol === ',') {
+                if (!tests) fail();
+                endCompound();
+                position++;
+                while (position < selector.length && /\s/.test(selector[position])) position++;
+                if (symbol === ',') {
+                    groups.push(steps);
+                    steps = [];
+                } else {
+                    combinator = '>';
+                }
+            } else if (tests && position < selector.length && position > start) {
+                endCompound();
+                combinator = ' ';
+            }
+            continue;
+        }
+
+        SIMPLE_SELECTOR.lastIndex = position;
+        const match = SIMPLE_SELECTOR.exec(selector);
+        if (!match) fail();
+        if (!tests) tests = [];
+
+        const [, quotedName, name, tag, type] = match;
+        if (quotedName !== undefined || name !== undefined) {
+            const expected = quotedName !== undefined ? quotedName : name;
+            tests.push(object => object.name === expected);
+        } else if (tag !== undefined) {
+            tests.push(object => hasTag(object, tag));
+        } else if (type !== undefined) {
+            // type:Light matches every light through isLight, type:Mesh also matches skinned and instanced meshes
+            tests.push(object => object.type === type || object[`is${type}`] === true);
+        }
+        position = SIMPLE_SELECTOR.lastIndex;
     }
+
+    if (!tests) fail();
+    endCompound();
+    groups.push(steps);
+    return groups;
+}
+
+function matchesCompound(object, step) {
+    return step.tests.every(test => test(object));
+}
+
+// Match the steps right to left, walking up the ancestors (within root) for each combinator
+function matchesSteps(object, steps, index, root) {
+    if (!matchesCompound(object, steps[index])) return false;
+    if (index === 0) return true;
+
+    const { combinator } = steps[index];
+    let ancestor = object.parent;
+    while (ancestor) {
+        if (matchesSteps(ancestor, steps, index - 1, root)) return true;
+        if (combinator === '>' || ancestor === root) return false;
+        ancestor = ancestor.parent;
+    }
+    return false;
+}
+
+function matchesSelector(object, groups, root) {
+    return groups.some(steps => matchesSteps(object, steps, steps.length - 1, root));
+}
+
+/**
+ * Query Objects
+ * Finds the descendants of root that match a selector:
+ * - '#name' (or '#"name with spaces"') matches object.name
+ * - '.tag' matches a tag added with tagObject
+ * - 'type:Mesh' matches object.type or an is<Type> flag (type:Light, type:Mesh)
+ * - '*' matches anything
+ * Simple selectors combine into a compound ('type:Mesh.enemy'), compounds are joined with a space
+ * (descendant) or '>' (child), and a comma separates alternatives.
+ * @param {THREE.Object3D} root - The object to search, usually the scene
+ * @param {string} selector - The selector
+ * @returns {THREE.Object3D[]} - The matching objects in traversal order
+ */
+export function queryAll(root, selector) {
+    const groups = parseSelector(selector);
+    const result = [];
+    root.traverse((object) => {
+        if (object !== root && matchesSelector(object, groups, root)) result.push(object);
+    });
+    return result;
+}
+
+/**
+ * Query the first Object matching a selector
+ * @param {THREE.Object3D} root - The object to search, usually the scene
+ * @param {string} selector - The selector, see queryAll
+ * @returns {THREE.Object3D|null} - The first match, or null
+ */
+export function queryOne(root, selector) {
+    return queryAll(root, selector)[0] || null;
+}
+
+/**
+ * Select Objects
+ * Runs a query and wraps the matches for chained batch operations, e.g.
+ * selectObjects(scene, '.debris').setMaterial(wireframeMaterial()).hide().
+ * @param {THREE.Object3D} root - The object to search, usually the scene
+ * @param {string|THREE.Object3D[]} selector - A selector (see queryAll) or a list of objects
+ * @returns {Object} - The selection
+ */
+export function selectObjects(root, selector) {
+    const objects = typeof selector === 'string' ? queryAll(root, selector) : selector.slice();
+
+    const selection = {
+        objects,
+        size: objects.length,
+
+        forEach(callback) {
+            objects.forEach(callback);
+            return selection;
+        },
+
+        hide: () => selection.forEach((object) => { object.visible = false; }),
+
+        show: () => selection.forEach((object) => { object.visible = true; }),
+
+        tag: (...tags) => selection.forEach(object => tagObject(object, ...tags)),
+
+        untag: (...tags) => selection.forEach(object => untagObject(object, ...tags)),
+
+        /**
+         * Give every mesh in the selection (including the meshes inside selected groups) a material.
+         * The replaced materials are not disposed, since other objects may still use them.
+         * @param {THREE.Material} material - The new material
+         * @returns {Object} - The selection, for chaining
+         */
+        setMaterial: material => selection.forEach((object) => {
+            object.traverse((child) => {
+                if (child.isMesh || child.isPoints || child.isLine) child.material = material;
+            });
+        }),
+
+        remove: () => selection.forEach((object) => {
+            if (object.parent) object.parent.remove(object);
+        }),
+
+        /**
+         * Remove the selected objects and dispose their resources with disposeObjects.
+         * @returns {Object} - The selection, for chaining
+         */
+        dispose: () => {
+            disposeObjects(objects);
+            return selection;
+        }
+    };
+
+    return selection;
 }
 
 /**
@@ -0,0 +1,838 @@
+import * as THREE from 'three';
+import { BloomPass } from 'three/examples/jsm/postprocessing/BloomPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { FilmPass } from 'three/examples/jsm/postprocessing/FilmPass.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { initScene, addFog } from './scene.js';
+import { initPerspectiveCamera, initOrthographicCamera, getCameraTarget } from './camera.js';
+import { initAmbientLight, initDirectionalLight, initPointLight, initSpotLight, initHemisphereLight } from './lighting.js';
+import { createCube, createSphere, createPlane, createTorus, createPyramid, createGroup } from '../components/objects.js';
+import {
+    basicMaterial, lambertMaterial, phongMaterial, standardMaterial, toonMaterial, wireframeMaterial,
+    depthMaterial, pointsMaterial, transparentMaterial, reflectiveMaterial, envMappedMaterial
+} from '../components/materials.js';
+import { initComposer, addBloomPass, addUnrealBloomPass, addFilmPass, addFXAAPass } from '../components/postprocessing.js';
+import { loadTexture, loadCubeTexture, loadModel } from '../utils/loader.js';
+
+/**
+ * Scene Description Format
+ * A versioned JSON document describing a whole scene. Every entry is built with the same factories
+ * used in code (createCube, standardMaterial, initPointLight, addFog, addUnrealBloomPass, ...).
+ *
+ * {
+ *     "version": 1,
+ *     "background": "#101018" | { "texture": "sky.jpg", "equirectangular": true } | { "cubeMap": [6 urls] },
+ *     "environment": { "texture": "studio.jpg" } | { "cubeMap": [6 urls] },
+ *     "fog": { "color": "#101018", "near": 1, "far": 100 } | { "color": "#101018", "density": 0.02 },
+ *     "materials": { "red": { "factory": "standardMaterial", "options": { "color": "#ff0000", "map": "bricks.jpg" } } },
+ *     "objects": [
+ *         { "type": "cube", "name": "box", "params": { "size": 2 }, "material": "red", "position": [0, 1, 0] },
+ *         { "type": "model", "url": "assets/models/robot.glb", "scale": 0.5 },
+ *         { "type": "group", "children": [...] }
+ *     ],
+ *     "lights": [{ "type": "directional", "color": "#ffffff", "intensity": 1, "position": [5, 10, 7.5] }],
+ *     "cameras": [{ "type": "perspective", "fov": 60, "position": [0, 2, 8], "target": [0, 0, 0], "active": true }],
+ *     "postprocessing": [{ "type": "unrealBloom", "strength": 1.2 }, { "type": "fxaa" }]
+ * }
+ *
+ * Colors are hex strings or numbers, vectors are [x, y, z] arrays, rotations are Euler angles in radians
+ * and scale is a number or a vector. Objects take a material name from "materials" or an inline material.
+ */
+export const SCENE_DESCRIPTION_VERSION = 1;
+
+/**
+ * Scene Description Error
+ * Thrown when a scene description is invalid or part of it fails to load. `path` is the JSON path of
+ * the offending value (e.g. '$.objects[2].material'); `errors` lists every problem found.
+ */
+export class SceneDescriptionError extends Error {
+    constructor(message, path = '$', options = {}) {
+        super(`${path}: ${message}`, options.cause ? { cause: options.cause } : undefined);
+        this.name = 'SceneDescriptionError';
+        this.path = path;
+        this.errors = options.errors || [{ path, message }];
+    }
+}
+
+// URLs of loaded textures and models, and the description each post-processing pass was built from
+const sources = new WeakMap();
+
+const TEXTURE_OPTIONS = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap', 'alphaMap', 'envMap'];
+
+// Material properties written back by serializeScene when they differ from the factory's defaults
+const MATERIAL_PROPERTIES = [
+    'color', 'emissive', 'metalness', 'roughness', 'shininess', 'opacity', 'transparent', 'wireframe',
+    'size', 'sizeAttenuation', 'side', 'flatShading', 'envMapIntensity', 'reflectivity'
+];
+
+const MATERIAL_FACTORIES = {
+    basicMaterial: options => basicMaterial(options.color),
+    lambertMaterial: options => lambertMaterial(options.color),
+    phongMaterial: options => phongMaterial(options.color, options.shininess),
+    standardMaterial: options => standardMaterial(options),
+    toonMaterial: options => toonMaterial(options.color),
+    wireframeMaterial: options => wireframeMaterial(options.color),
+    depthMaterial: () => depthMaterial(),
+    pointsMaterial: options => pointsMaterial(options.size, options.color),
+    transparentMaterial: options => transparentMaterial(options.color, options.opacity),
+    reflectiveMaterial: options => reflectiveMaterial(options),
+    envMappedMaterial: options => envMappedMaterial(options.envMap, options)
+};
+
+const PRIMITIVES = {
+    cube: {
+        params: ['size'],
+        create: (params, material) => createCube(params.size, material),
+        describe: ({ type, parameters: p }) => (type === 'BoxGeometry' && p.width === p.height && p.width === p.depth ? { size: p.width } : null)
+    },
+    sphere: {
+        params: ['radius', 'widthSegments', 'heightSegments'],
+        create: (params, material) => createSphere(params.radius, material, params.widthSegments, params.heightSegments),
+        describe: ({ type, parameters: p }) => (type === 'SphereGeometry' ? { radius: p.radius, widthSegments: p.widthSegments, heightSegments: p.heightSegments } : null)
+    },
+    plane: {
+        params: ['width', 'height'],
+        create: (params, material) => createPlane(params.width, params.height, material),
+        describe: ({ type, parameters: p }) => (type === 'PlaneGeometry' ? { width: p.width, height: p.height } : null)
+    },
+    torus: {
+        params: ['radius', 'tube', 'radialSegments', 'tubularSegments'],
+        create: (params, material) => createTorus(params.radius, params.tube, material, params.radialSegments, params.tubularSegments),
+        describe: ({ type, parameters: p }) => (type === 'TorusGeometry' ? { radius: p.radius, tube: p.tube, radialSegments: p.radialSegments, tubularSegments: p.tubularSegments } : null)
+    },
+    pyramid: {
+        params: ['size'],
+        create: (params, material) => createPyramid(params.size, material),
+        describe: ({ type, parameters: p }) => (type === 'ConeGeometry' && p.radialSegments === 4 && p.radius === p.height ? { size: p.radius } : null)
+    }
+};
+
+// Model formats by extension, mapped to the asset types of loadModel
+const MODEL_FORMATS = { gltf: 'gltf', glb: 'gltf', obj: 'obj', fbx: 'fbx', stl: 'stl', ply: 'ply', '3mf': '3mf', dae: 'dae', usdz: 'usdz' };
+
+const toVector = value => (value === undefined ? undefined : new THREE.Vector3().fromArray(value));
+
+const LIGHTS = {
+    ambient: {
+        keys: ['color', 'intensity'],
+        create: light => initAmbientLight(light.color, light.intensity)
+    },
+    directional: {
+        keys: ['color', 'intensity', 'position', 'target', 'castShadow'],
+        create: light => initDirectionalLight(light.color, light.intensity, toVector(light.position))
+    },
+    point: {
+        keys: ['color', 'intensity', 'distance', 'decay', 'position', 'castShadow'],
+        create: light => initPointLight(light.color, light.intensity, light.distance, light.decay, toVector(light.position))
+    },
+    spot: {
+        keys: ['color', 'intensity', 'distance', 'angle', 'penumbra', 'decay', 'position', 'target', 'castShadow'],
+        create: light => initSpotLight(light.color, light.intensity, light.distance, light.angle, light.penumbra, light.decay, toVector(light.position))
+    },
+    hemisphere: {
+        keys: ['color', 'groundColor', 'intensity', 'position'],
+        create: light => initHemisphereLight(light.color, light.groundColor, light.intensity)
+    }
+};
+
+const PASSES = {
+    bloom: {
+        params: ['strength', 'kernelSize', 'sigma', 'resolution'],
+        create: (composer, pass) => addBloomPass(composer, pass.strength, pass.kernelSize, pass.sigma, pass.resolution),
+        read: pass => ({ strength: pass.combineUniforms.strength.value })
+    },
+    unrealBloom: {
+        params: ['strength', 'radius', 'threshold'],
+        create: (composer, pass) => addUnrealBloomPass(composer, pass.strength, pass.radius, pass.threshold),
+        read: pass => ({ strength: pass.strength, radius: pass.radius, threshold: pass.threshold })
+    },
+    film: {
+        params: ['noiseIntensity', 'grayscale'],
+        create: (composer, pass) => addFilmPass(composer, pass.noiseIntensity, undefined, undefined, pass.grayscale),
+        read: pass => ({ noiseIntensity: pass.uniforms.intensity.value, grayscale: pass.uniforms.grayscale.value })
+    },
+    fxaa: {
+        params: [],
+        create: composer => addFXAAPass(composer),
+        read: () => ({})
+    }
+};
+
+const OBJECT_KEYS = ['type', 'name', 'position', 'rotation', 'scale', 'visible', 'castShadow', 'receiveShadow', 'children'];
+const CAMERA_KEYS = ['type', 'name', 'fov', 'near', 'far', 'zoom', 'left', 'right', 'top', 'bottom', 'position', 'target', 'active'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+const isColor = value => Number.isFinite(value) || typeof value === 'string';
+
+/**
+ * Validate a Scene Description
+ * Checks the structure, types and references of a description without building anything.
+ * @param {Object} description - The parsed scene description
+ * @returns {Array<{path: string, message: string}>} - Every problem found; empty when the description is valid
+ */
+export function validateSceneDescription(description) {
+    const errors = [];
+    const fail = (path, message) => errors.push({ path, message });
+
+    function checkKeys(value, allowed, path) {
+        Object.keys(value).forEach((key) => {
+            if (!allowed.includes(key)) fail(`${path}.${key}`, 'Unknown property');
+        });
+    }
+
+    function check(value, kind, path) {
+        if (value === undefined) return;
+        const valid = {
+            number: Number.isFinite(value),
+            string: typeof value === 'string',
+            boolean: typeof value === 'boolean',
+            vector: isVector(value),
+            color: isColor(value),
+            scale: Number.isFinite(value) || isVector(value)
+        }[kind];
+        if (!valid) {
+            fail(path, {
+                vector: 'Expected an array of three numbers',
+                color: 'Expected a color as a hex string or number',
+                scale: 'Expected a number or an array of three numbers'
+            }[kind] || `Expected a ${kind}`);
+        }
+    }
+
+    function checkMaterial(material, path) {
+        if (!isObject(material)) {
+            fail(path, 'Expected a material object with a factory name');
+            return;
+        }
+        checkKeys(material, ['factory', 'options'], path);
+        if (!MATERIAL_FACTORIES[material.factory]) {
+            fail(`${path}.factory`, `Unknown material factory "${material.factory}", expected one of ${Object.keys(MATERIAL_FACTORIES).join(', ')}`);
+        }
+        if (material.options === undefined) return;
+        if (!isObject(material.options)) {
+            fail(`${path}.options`, 'Expected an object');
+            return;
+        }
+        TEXTURE_OPTIONS.forEach(key => check(material.options[key], 'string', `${path}.options.${key}`));
+        ['color', 'emissive'].forEach(key => check(material.options[key], 'color', `${path}.options.${key}`));
+    }
+
+    function checkTextureSource(value, path, allowed) {
+        if (!isObject(value)) {
+            fail(path, 'Expected an object with a texture or cubeMap URL');
+            return;
+        }
+        checkKeys(value, allowed, path);
+        if (value.cubeMap !== undefined) {
+            if (!Array.isArray(value.cubeMap) || value.cubeMap.length !== 6 || !value.cubeMap.every(url => typeof url === 'string')) {
+                fail(`${path}.cubeMap`, 'Expected an array of six URLs');
+            }
+        } else if (typeof value.texture !== 'string') {
+            fail(`${path}.texture`, 'Expected a texture URL');
+        }
+        check(value.equirectangular, 'boolean', `${path}.equirectangular`);
+    }
+
+    function checkObject(node, path) {
+        if (!isObject(node)) {
+            fail(path, 'Expected an object');
+            return;
+        }
+
+        const primitive = PRIMITIVES[node.type];
+        const allowed = [...OBJECT_KEYS];
+        if (primitive) {
+            allowed.push('params', 'material');
+            if (node.params !== undefined) {
+                if (isObject(node.params)) {
+                    checkKeys(node.params, primitive.params, `${path}.params`);
+                    primitive.params.forEach(key => check(node.params[key], 'number', `${path}.params.${key}`));
+                } else {
+                    fail(`${path}.params`, 'Expected an object');
+                }
+            }
+            if (typeof node.material === 'string') {
+                if (!isObject(description.materials) || !description.materials[node.material]) {
+                    fail(`${path}.material`, `Unknown material "${node.material}"`);
+                }
+            } else if (node.material !== undefined) {
+                checkMaterial(node.material, `${path}.material`);
+            }
+        } else if (node.type === 'model') {
+            allowed.push('url', 'format');
+            if (typeof node.url !== 'string') {
+                fail(`${path}.url`, 'Expected a model URL');
+            }
+            const format = node.format || (typeof node.url === 'string' ? node.url.split(/[?#]/)[0].split('.').pop().toLowerCase() : undefined);
+            if (typeof node.url === 'string' && !MODEL_FORMATS[format]) {
+                fail(node.format ? `${path}.format` : `${path}.url`, `Unsupported model format "${format}", expected one of ${Object.keys(MODEL_FORMATS).join(', ')}`);
+            }
+        } else if (node.type !== 'group') {
+            fail(`${path}.type`, `Unknown object type "${node.type}", expected one of ${[...Object.keys(PRIMITIVES), 'group', 'model'].join(', ')}`);
+            return;
+        }
+
+        checkKeys(node, allowed, path);
+        check(node.name, 'string', `${path}.name`);
+        check(node.position, 'vector', `${path}.position`);
+        check(node.rotation, 'vector', `${path}.rotation`);
+        check(node.scale, 'scale', `${path}.scale`);
+        ['visible', 'castShadow', 'receiveShadow'].forEach(key => check(node[key], 'boolean', `${path}.${key}`));
+
+        if (node.children !== undefined) {
+            if (Array.isArray(node.children)) {
+                node.children.forEach((child, index) => checkObject(child, `${path}.children[${index}]`));
+            } else {
+                fail(`${path}.children`, 'Expected an array');
+            }
+        }
+    }
+
+    function checkList(key, checkItem) {
+        const list = description[key];
+        if (list === undefined) return;
+        if (!Array.isArray(list)) {
+            fail(`$.${key}`, 'Expected an array');
+            return;
+        }
+        list.forEach((item, index) => checkItem(item, `$.${key}[${index}]`));
+    }
+
+    if (!isObject(description)) {
+        fail('$', 'Expected a scene description object');
+        return errors;
+    }
+
+    checkKeys(description, ['version', 'background', 'environment', 'fog', 'materials', 'objects', 'lights', 'cameras', 'postprocessing'], '$');
+    if (description.version === undefined) {
+        fail('$.version', `Missing version, the current version is ${SCENE_DESCRIPTION_VERSION}`);
+    } else if (description.version !== SCENE_DESCRIPTION_VERSION) {
+        fail('$.version', `Unsupported version ${JSON.stringify(description.version)}, expected ${SCENE_DESCRIPTION_VERSION}`);
+    }
+
+    if (description.background !== undefined && !isColor(description.background)) {
+        checkTextureSource(description.background, '$.background', ['texture', 'cubeMap', 'equirectangular']);
+    }
+    if (description.environment !== undefined) {
+        checkTextureSource(description.environment, '$.environment', ['texture', 'cubeMap']);
+    }
+
+    if (description.fog !== undefined) {
+        if (isObject(description.fog)) {
+            checkKeys(description.fog, ['color', 'near', 'far', 'density'], '$.fog');
+            check(description.fog.color, 'color', '$.fog.color');
+            ['near', 'far', 'density'].forEach(key => check(description.fog[key], 'number', `$.fog.${key}`));
+        } else {
+            fail('$.fog', 'Expected an object');
+        }
+    }
+
+    if (description.materials !== undefined) {
+        if (isObject(description.materials)) {
+            Object.entries(description.materials).forEach(([name, material]) => checkMaterial(material, `$.materials.${name}`));
+        } else {
+            fail('$.materials', 'Expected an object mapping names to materials');
+        }
+    }
+
+    checkList('objects', checkObject);
+
+    checkList('lights', (light, path) => {
+        if (!isObject(light)) return fail(path, 'Expected an object');
+        const type = LIGHTS[light.type];
+        if (!type) return fail(`${path}.type`, `Unknown light type "${light.type}", expected one of ${Object.keys(LIGHTS).join(', ')}`);
+        checkKeys(light, ['type', 'name', ...type.keys], path);
+        check(light.name, 'string', `${path}.name`);
+        ['color', 'groundColor'].forEach(key => check(light[key], 'color', `${path}.${key}`));
+        ['intensity', 'distance', 'decay', 'angle', 'penumbra'].forEach(key => check(light[key], 'number', `${path}.${key}`));
+        ['position', 'target'].forEach(key => check(light[key], 'vector', `${path}.${key}`));
+        check(light.castShadow, 'boolean', `${path}.castShadow`);
+    });
+
+    checkList('cameras', (camera, path) => {
+        if (!isObject(camera)) return fail(path, 'Expected an object');
+        if (camera.type !== 'perspective' && camera.type !== 'orthographic') {
+            return fail(`${path}.type`, `Unknown camera type "${camera.type}", expected perspective or orthographic`);
+        }
+        checkKeys(camera, CAMERA_KEYS, path);
+        check(camera.name, 'string', `${path}.name`);
+        ['fov', 'near', 'far', 'zoom', 'left', 'right', 'top', 'bottom'].forEach(key => check(camera[key], 'number', `${path}.${key}`));
+        ['position', 'target'].forEach(key => check(camera[key], 'vector', `${path}.${key}`));
+        check(camera.active, 'boolean', `${path}.active`);
+    });
+
+    checkList('postprocessing', (pass, path) => {
+        if (!isObject(pass)) return fail(path, 'Expected an object');
+        const type = PASSES[pass.type];
+        if (!type) return fail(`${path}.type`, `Unknown pass type "${pass.type}", expected one of ${Object.keys(PASSES).join(', ')}`);
+        checkKeys(pass, ['type', 'enabled', ...type.params], path);
+        check(pass.enabled, 'boolean', `${path}.enabled`);
+        type.params.forEach(key => check(pass[key], key === 'grayscale' ? 'boolean' : 'number', `${path}.${key}`));
+    });
+
+    return errors;
+}
+
+function loadTrackedTexture(url) {
+    const texture = loadTexture(url);
+    sources.set(texture, url);
+    return texture;
+}
+
+function loadTextureSource(source, equirectangular) {
+    const texture = source.cubeMap ? loadCubeTexture(source.cubeMap) : loadTexture(source.texture);
+    sources.set(texture, source.cubeMap ? source.cubeMap.slice() : source.texture);
+    if (!source.cubeMap && equirectangular) {
+        texture.mapping = THREE.EquirectangularReflectionMapping;
+    }
+    return texture;
+}
+
+function createMaterial(description) {
+    const options = { ...(description.options || {}) };
+    TEXTURE_OPTIONS.forEach((key) => {
+        if (typeof options[key] === 'string') options[key] = loadTrackedTexture(options[key]);
+    });
+
+    const material = MATERIAL_FACTORIES[description.factory](options);
+    // Factories only read some options (and treat 0 as unset); apply the rest directly
+    const extra = {};
+    Object.keys(options).forEach((key) => {
+        if (key in material && options[key] !== undefined) extra[key] = options[key];
+    });
+    material.setValues(extra);
+    sources.set(material, description.factory);
+    return material;
+}
+
+function applyTransform(object, node) {
+    if (node.name) object.name = node.name;
+    if (node.position) object.position.fromArray(node.position);
+    if (node.rotation) object.rotation.fromArray(node.rotation);
+    if (node.scale !== undefined) {
+        if (Array.isArray(node.scale)) {
+            object.scale.fromArray(node.scale);
+        } else {
+            object.scale.setScalar(node.scale);
+        }
+    }
+    if (node.visible !== undefined) object.visible = node.visible;
+    if (node.castShadow !== undefined) object.castShadow = node.castShadow;
+    if (node.receiveShadow !== undefined) object.receiveShadow = node.receiveShadow;
+}
+
+async function buildObject(node, path, materials) {
+    let object;
+
+    if (PRIMITIVES[node.type]) {
+        let material;
+        if (typeof node.material === 'string') {
+            material = materials.get(node.material);
+        } else if (node.material) {
+            material = createMaterial(node.material);
+        }
+        object = PRIMITIVES[node.type].create(node.params || {}, material);
+    } else if (node.type === 'model') {
+        const format = node.format || node.url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+        try {
+            object = (await loadModel(node.url, { format: MODEL_FORMATS[format] })).scene;
+        } catch (error) {
+            throw new SceneDescriptionError(`Could not load model "${node.url}"`, `${path}.url`, { cause: error });
+        }
+        sources.set(object, { url: node.url, format: node.format });
+    } else {
+        object = createGroup();
+    }
+
+    applyTransform(object, node);
+
+    const children = await Promise.all((node.children || []).map((child, index) => buildObject(child, `${path}.children[${index}]`, materials)));
+    children.forEach(child => object.add(child));
+    return object;
+}
+
+function buildLight(description, scene) {
+    const light = LIGHTS[description.type].create(description);
+    if (description.name) light.name = description.name;
+    if (description.position && description.type === 'hemisphere') light.position.fromArray(description.position);
+    if (description.castShadow !== undefined) light.castShadow = description.castShadow;
+    if (description.target && light.target) {
+        light.target.position.fromArray(description.target);
+        // The target has to be in the scene for its world matrix to update
+        scene.add(light.target);
+    }
+    return light;
+}
+
+function buildCamera(description, aspect) {
+    const position = toVector(description.position);
+    let camera;
+    if (description.type === 'orthographic') {
+        const { left, right, top, bottom } = description;
+        camera = initOrthographicCamera(left, right, top, bottom, description.near, description.far, position);
+    } else {
+        camera = initPerspectiveCamera(description.fov, aspect, description.near, description.far, position);
+    }
+    if (description.name) camera.name = description.name;
+    if (description.zoom !== undefined) camera.zoom = description.zoom;
+    if (description.target) camera.lookAt(toVector(description.target));
+    camera.updateProjectionMatrix();
+    return camera;
+}
+
+/**
+ * Load a Scene Description
+ * Validates a JSON scene description and builds a live scene from it with the existing factories.
+ * Models are loaded before the promise resolves.
+ * @param {Object|string} json - The parsed or raw scene description
+ * @param {Object} options - Load options
+ * @param {THREE.WebGLRenderer} options.renderer - Renderer for the post-processing composer; passes are skipped without one
+ * @param {number} options.aspect - Aspect ratio for perspective cameras (default: the window's)
+ * @returns {Promise<Object>} - Resolves with { scene, camera, cameras, materials, composer }, or rejects with a SceneDescriptionError
+ */
+export async function loadSceneDescription(json, options = {}) {
+    let description = json;
+    if (typeof json === 'string') {
+        try {
+            description = JSON.parse(json);
+        } catch (error) {
+            throw new SceneDescriptionError(`Invalid JSON: ${error.message}`, '$', { cause: error });
+        }
+    }
+
+    const errors = validateSceneDescription(description);
+    if (errors.length > 0) {
+        const message = errors.length === 1
+            ? errors[0].message
+            : `${errors[0].message} (and ${errors.length - 1} more: ${errors.slice(1).map(error => error.path).join(', ')})`;
+        throw new SceneDescriptionError(message, errors[0].path, { errors });
+    }
+
+    const scene = isColor(description.background)
+        ? initScene({ backgroundColor: new THREE.Color(description.background) })
+        : initScene();
+    if (isObject(description.background)) {
+        scene.background = loadTextureSource(description.background, description.background.equirectangular);
+    }
+    if (description.environment) {
+        scene.environment = loadTextureSource(description.environment, true);
+    }
+
+    if (description.fog) {
+        const { color = 0xffffff, near, far, density } = description.fog;
+        if (density !== undefined) {
+            scene.fog = new THREE.FogExp2(color, density);
+        } else {
+            addFog(scene, color, near, far);
+        }
+    }
+
+    const materials = new Map();
+    Object.entries(description.materials || {}).forEach(([name, material]) => {
+        const created = createMaterial(material);
+        created.name = name;
+        materials.set(name, created);
+    });
+
+    const objects = await Promise.all((description.objects || []).map((node, index) => buildObject(node, `$.objects[${index}]`, materials)));
+    objects.forEach(object => scene.add(object));
+
+    (description.lights || []).forEach(light => scene.add(buildLight(light, scene)));
+
+    const aspect = options.aspect || (typeof window !== 'undefined' ? window.innerWidth / window.innerHeight : 1);
+    const cameraDescriptions = description.cameras || [];
+    const cameras = cameraDescriptions.map(camera => buildCamera(camera, aspect));
+    const activeIndex = cameraDescriptions.findIndex(camera => camera.active);
+    const camera = cameras[activeIndex >= 0 ? activeIndex : 0] || null;
+
+    let composer = null;
+    if (description.postprocessing && description.postprocessing.length > 0) {
+        if (options.renderer && camera) {
+            composer = initComposer(options.renderer, scene, camera);
+            description.postprocessing.forEach((passDescription) => {
+                const pass = PASSES[passDescription.type].create(composer, passDescription);
+                if (passDescription.enabled === false) pass.enabled = false;
+                sources.set(pass, { ...passDescription });
+            });
+        } else {
+            console.warn('Scene description has post-processing passes but no renderer or camera to build them with');
+        }
+    }
+
+    return { scene, camera, cameras, materials, composer };
+}
+
+const round = value => Math.round(value * 1e6) / 1e6;
+const vectorToJSON = vector => vector.toArray().map(round);
+const colorToJSON = color => `#${color.getHexString()}`;
+
+function describeTextureSource(texture) {
+    const source = sources.get(texture);
+    if (!source) return null;
+    if (Array.isArray(source)) return { cubeMap: source.slice() };
+    return texture.mapping === THREE.EquirectangularReflectionMapping
+        ? { texture: source, equirectangular: true }
+        : { texture: source };
+}
+
+function inferMaterialFactory(material) {
+    if (sources.has(material)) return sources.get(material);
+    if (material.isMeshStandardMaterial && !material.isMeshPhysicalMaterial) return 'standardMaterial';
+    if (material.isMeshBasicMaterial) {
+        if (material.wireframe) return 'wireframeMaterial';
+        return material.transparent ? 'transparentMaterial' : 'basicMaterial';
+    }
+    if (material.isMeshLambertMaterial) return 'lambertMaterial';
+    if (material.isMeshPhongMaterial) return 'phongMaterial';
+    if (material.isMeshToonMaterial) return 'toonMaterial';
+    if (material.isMeshDepthMaterial) return 'depthMaterial';
+    if (material.isPointsMaterial) return 'pointsMaterial';
+    return null;
+}
+
+function describeMaterial(material) {
+    const factory = inferMaterialFactory(material);
+    if (!factory) return null;
+
+    // Only write what differs from the factory's own defaults
+    const defaults = MATERIAL_FACTORIES[factory]({});
+    const options = {};
+    MATERIAL_PROPERTIES.forEach((key) => {
+        if (!(key in material)) return;
+        const value = material[key];
+        if (value && value.isColor) {
+            if (!value.equals(defaults[key])) options[key] = colorToJSON(value);
+        } else if (value !== defaults[key]) {
+            options[key] = typeof value === 'number' ? round(value) : value;
+        }
+    });
+    TEXTURE_OPTIONS.forEach((key) => {
+        if (!material[key]) return;
+        const url = sources.get(material[key]);
+        if (typeof url === 'string') {
+            options[key] = url;
+        } else {
+            console.warn(`serializeScene: the ${key} of material "${material.name}" was not loaded from a URL and is left out`);
+        }
+    });
+    defaults.dispose();
+
+    return Object.keys(options).length > 0 ? { factory, options } : { factory };
+}
+
+function describeTransform(object, node) {
+    if (object.name) node.name = object.name;
+    if (!object.position.equals(new THREE.Vector3())) node.position = vectorToJSON(object.position);
+    if (object.rotation.x !== 0 || object.rotation.y !== 0 || object.rotation.z !== 0) {
+        node.rotation = [object.rotation.x, object.rotation.y, object.rotation.z].map(round);
+    }
+    const { x, y, z } = object.scale;
+    if (x !== 1 || y !== 1 || z !== 1) node.scale = x === y && y === z ? round(x) : vectorToJSON(object.scale);
+    if (!object.visible) node.visible = false;
+    if (object.castShadow) node.castShadow = true;
+    if (object.receiveShadow) node.receiveShadow = true;
+    return node;
+}
+
+function describeLight(light) {
+    const type = ['ambient', 'directional', 'point', 'spot', 'hemisphere'].find(name => light[`is${name.charAt(0).toUpperCase()}${name.slice(1)}Light`]);
+    if (!type) return null;
+
+    const description = { type };
+    if (light.name) description.name = light.name;
+    description.color = colorToJSON(light.color);
+    if (light.groundColor) description.groundColor = colorToJSON(light.groundColor);
+    description.intensity = round(light.intensity);
+    if (light.isPointLight || light.isSpotLight) {
+        description.distance = round(light.distance);
+        description.decay = round(light.decay);
+    }
+    if (light.isSpotLight) {
+        description.angle = round(light.angle);
+        description.penumbra = round(light.penumbra);
+    }
+    if (!light.isAmbientLight) {
+        description.position = vectorToJSON(light.getWorldPosition(new THREE.Vector3()));
+    }
+    if (light.target) description.target = vectorToJSON(light.target.position);
+    if (light.isDirectionalLight || light.isPointLight || light.isSpotLight) description.castShadow = light.castShadow;
+    return description;
+}
+
+function describeCamera(camera, controls, active) {
+    const description = {
+        type: camera.isOrthographicCamera ? 'orthographic' : 'perspective'
+    };
+    if (camera.name) description.name = camera.name;
+    if (camera.isOrthographicCamera) {
+        Object.assign(description, { left: camera.left, right: camera.right, top: camera.top, bottom: camera.bottom });
+    } else {
+        description.fov = round(camera.fov);
+    }
+    Object.assign(description, {
+        near: camera.near,
+        far: camera.far,
+        zoom: round(camera.zoom),
+        position: vectorToJSON(camera.position),
+        target: vectorToJSON(getCameraTarget(camera, controls))
+    });
+    if (active) description.active = true;
+    return description;
+}
+
+function describePass(pass) {
+    const source = sources.get(pass);
+    let type = source && source.type;
+    if (!type) {
+        if (pass instanceof UnrealBloomPass) type = 'unrealBloom';
+        else if (pass instanceof BloomPass) type = 'bloom';
+        else if (pass instanceof FilmPass) type = 'film';
+        else return null;
+    }
+
+    const description = { ...(source || { type }), ...PASSES[type].read(pass) };
+    Object.keys(description).forEach((key) => {
+        if (typeof description[key] === 'number') description[key] = round(description[key]);
+    });
+    if (pass.enabled === false) {
+        description.enabled = false;
+    } else {
+        delete description.enabled;
+    }
+    return description;
+}
+
+/**
+ * Serialize a Scene
+ * Writes a live scene back to a scene description that loadSceneDescription can rebuild. Objects,
+ * materials, textures and passes that have no description equivalent (custom geometry, shader
+ * materials, textures not loaded from a URL) are left out with a warning; helpers are skipped.
+ * @param {THREE.Scene} scene - The scene to serialize
+ * @param {Object} options - Serialization options
+ * @param {THREE.Camera} options.camera - The active camera
+ * @param {Array<THREE.Camera>} options.cameras - All cameras to write (default: just the active camera)
+ * @param {Object} options.controls - Controls of the active camera, used for its target
+ * @param {EffectComposer} options.composer - Composer whose passes are written
+ * @returns {Object} - The scene description, ready for JSON.stringify
+ */
+export function serializeScene(scene, options = {}) {
+    const description = { version: SCENE_DESCRIPTION_VERSION };
+    const materialNames = new Map();
+    const materials = {};
+    const lights = [];
+    const lightTargets = new Set();
+
+    scene.traverse((object) => {
+        if (object.isLight && object.target) lightTargets.add(object.target);
+    });
+
+    if (scene.background) {
+        description.background = scene.background.isColor ? colorToJSON(scene.background) : describeTextureSource(scene.background);
+        if (!description.background) {
+            delete description.background;
+            console.warn('serializeScene: the scene background was not loaded from a URL and is left out');
+        }
+    }
+    if (scene.environment) {
+        const environment = describeTextureSource(scene.environment);
+        if (environment) {
+            delete environment.equirectangular;
+            description.environment = environment;
+        } else {
+            console.warn('serializeScene: the scene environment was not loaded from a URL and is left out');
+        }
+    }
+
+    if (scene.fog) {
+        description.fog = scene.fog.isFogExp2
+            ? { color: colorToJSON(scene.fog.color), density: scene.fog.density }
+            : { color: colorToJSON(scene.fog.color), near: scene.fog.near, far: scene.fog.far };
+    }
+
+    function materialReference(material) {
+        if (Array.isArray(material)) {
+            console.warn('serializeScene: multi-material meshes are not supported; only the first material is written');
+            return materialReference(material[0]);
+        }
+        if (materialNames.has(material)) return materialNames.get(material);
+
+        const materialDescription = describeMaterial(material);
+        if (!materialDescription) {
+            console.warn(`serializeScene: ${material.type} "${material.name}" has no material factory and is left out`);
+            materialNames.set(material, undefined);
+            return undefined;
+        }
+        let name = material.name || `material${materialNames.size + 1}`;
+        while (materials[name]) name = `${name}_`;
+        materials[name] = materialDescription;
+        materialNames.set(material, name);
+        return name;
+    }
+
+    function describeObject(object) {
+        if (object.isLight) {
+            const light = describeLight(object);
+            if (light) lights.push(light);
+            return null;
+        }
+        if (object.isCamera || lightTargets.has(object) || object.isTransformControls || object.type.endsWith('Helper')) {
+            return null;
+        }
+
+        const source = sources.get(object);
+        let node;
+        if (source) {
+            node = { type: 'model', url: source.url };
+            if (source.format) node.format = source.format;
+        } else if (object.isMesh) {
+            const type = Object.keys(PRIMITIVES).find(name => PRIMITIVES[name].describe(object.geometry));
+            if (!type) {
+                console.warn(`serializeScene: the ${object.geometry.type} of "${object.name || object.uuid}" is not a primitive and is left out`);
+                return null;
+            }
+            node = { type, params: PRIMITIVES[type].describe(object.geometry) };
+            const material = materialReference(object.material);
+            if (material) node.material = material;
+        } else if (object.isGroup || object.type === 'Object3D') {
+            node = { type: 'group' };
+        } else {
+            console.warn(`serializeScene: ${object.type} "${object.name || object.uuid}" cannot be described and is left out`);
+            return null;
+        }
+
+        describeTransform(object, node);
+
+        // A loaded model is written as its URL; its own hierarchy comes back when it is loaded again
+        if (!source) {
+            const children = object.children.map(describeObject).filter(Boolean);
+            if (children.length > 0) node.children = children;
+        }
+        return node;
+    }
+
+    const objects = scene.children.map(describeObject).filter(Boolean);
+    if (Object.keys(materials).length > 0) description.materials = materials;
+    if (objects.length > 0) description.objects = objects;
+    if (lights.length > 0) description.lights = lights;
+
+    const activeCamera = options.camera || (options.cameras && options.cameras[0]);
+    const cameras = options.cameras || (activeCamera ? [activeCamera] : []);
+    if (cameras.length > 0) {
+        description.cameras = cameras.map(camera => describeCamera(camera, camera === activeCamera ? options.controls : null, camera === activeCamera));
+    }
+
+    if (options.composer) {
+        const passes = options.composer.passes
+            .filter(pass => !(pass instanceof RenderPass))
+            .map((pass) => {
+                const passDescription = describePass(pass);
+                if (!passDescription) console.warn(`serializeScene: the ${pass.constructor.name} has no description equivalent and is left out`);
+                return passDescription;
+            })
+            .filter(Boolean);
+        if (passes.length > 0) description.postprocessing = passes;
+    }
+
+    return description;
+}
@@ -0,0 +1,209 @@
+/**
+ * Update Phases
+ * Callbacks registered with a scheduler run phase by phase in this order every frame.
+ */
+export const PHASES = Object.freeze({
+    INPUT: 'input',
+    SIMULATION: 'simulation',
+    ANIMATION: 'animation',
+    RENDER: 'render',
+    POST_RENDER: 'postRender'
+});
+
+const PHASE_ORDER = [PHASES.INPUT, PHASES.SIMULATION, PHASES.ANIMATION, PHASES.RENDER, PHASES.POST_RENDER];
+
+/**
+ * Create a Browser Clock
+ * The default clock, backed by performance.now and requestAnimationFrame.
+ * @returns {Object} - A clock with now, requestFrame and cancelFrame methods
+ */
+export function createBrowserClock() {
+    return {
+        now: () => performance.now(),
+        requestFrame: (callback) => requestAnimationFrame(callback),
+        cancelFrame: (id) => cancelAnimationFrame(id)
+    };
+}
+
+/**
+ * Create a Manual Clock
+ * A clock that only moves when told to, so a scheduler can be driven deterministically (e.g. in Node).
+ * @param {number} startTime - The initial time in milliseconds
+ * @returns {Object} - A clock with now, requestFrame, cancelFrame and step methods
+ */
+export function createManualClock(startTime = 0) {
+    let time = startTime;
+    let nextId = 1;
+    const pending = new Map();
+
+    return {
+        now: () => time,
+        requestFrame(callback) {
+            const id = nextId++;
+            pending.set(id, callback);
+            return id;
+        },
+        cancelFrame(id) {
+            pending.delete(id);
+        },
+        /**
+         * Advance the time and run the frame callbacks that were pending before the step.
+         * @param {number} milliseconds - How far to advance the clock
+         */
+        step(milliseconds = 1000 / 60) {
+            time += milliseconds;
+            const callbacks = Array.from(pending.values());
+            pending.clear();
+            callbacks.forEach(callback => callback(time));
+        }
+    };
+}
+
+/**
+ * Create an Update Scheduler
+ * Runs every registered update callback from a single frame loop, phase by phase, handing each
+ * one the scaled delta and elapsed time in seconds. Supports pausing, time scaling and
+ * fixed-timestep sub-stepping.
+ * @param {Object} options - Configuration options for the scheduler
+ * @param {Object} options.clock - The clock driving the scheduler (default: createBrowserClock())
+ * @param {number} options.timeScale - Multiplier applied to the frame delta (default: 1)
+ * @param {number} options.fixedTimestep - Step size in seconds for fixed updates (default: 1 / 60)
+ * @param {number} options.maxSubSteps - Maximum fixed steps per frame before time is dropped (default: 5)
+ * @param {number} options.maxDelta - Upper bound for a frame delta in seconds, e.g. after a background tab (default: 0.25)
+ * @returns {Object} - The scheduler
+ */
+export function createScheduler(options = {}) {
+    const clock = options.clock || createBrowserClock();
+    const fixedTimestep = options.fixedTimestep || 1 / 60;
+    const maxSubSteps = options.maxSubSteps || 5;
+    const maxDelta = options.maxDelta || 0.25;
+
+    const entries = {};
+    PHASE_ORDER.forEach(phase => {
+        entries[phase] = [];
+    });
+
+    const state = {
+        delta: 0,
+        rawDelta: 0,
+        elapsed: 0,
+        frame: 0,
+        alpha: 0,
+        timeScale: options.timeScale !== undefined ? options.timeScale : 1,
+        paused: false
+    };
+
+    let running = false;
+    let frameId = null;
+    let lastTime = null;
+    let accumulator = 0;
+    let fixedElapsed = 0;
+
+    function add(callback, { phase = PHASES.ANIMATION, priority = 0, fixed = false } = {}) {
+        if (!entries[phase]) {
+            throw new Error(`Unknown scheduler phase "${phase}"`);
+        }
+
+        const list = entries[phase];
+        list.push({ callback, priority, fixed });
+        list.sort((a, b) => a.priority - b.priority);
+
+        return () => remove(callback);
+    }
+
+    function remove(callback) {
+        PHASE_ORDER.forEach(phase => {
+            const index = entries[phase].findIndex(entry => entry.callback === callback);
+            if (index !== -1) {
+                entries[phase].splice(index, 1);
+            }
+        });
+    }
+
+    function tick(now = clock.now()) {
+        state.rawDelta = lastTime === null ? 0 : Math.min(Math.max(now - lastTime, 0) / 1000, maxDelta);
+        lastTime = now;
+
+        state.delta = state.paused ? 0 : state.rawDelta * state.timeScale;
+        state.elapsed += state.delta;
+        state.frame++;
+
+        // Work out how many fixed steps fit into this frame before running any phase
+        accumulator += state.delta;
+        let steps = 0;
+        while (accumulator >= fixedTimestep && steps < maxSubSteps) {
+            accumulator -= fixedTimestep;
+            steps++;
+        }
+        if (steps === maxSubSteps) {
+            accumulator = Math.min(accumulator, fixedTimestep);
+        }
+        state.alpha = accumulator / fixedTimestep;
+
+        const fixedStart = fixedElapsed;
+        fixedElapsed += steps * fixedTimestep;
+
+        PHASE_ORDER.forEach(phase => {
+            entries[phase].slice().forEach(entry => {
+                if (entry.fixed) {
+                    for (let i = 0; i < steps; i++) {
+                        entry.callback(fixedTimestep, fixedStart + (i + 1) * fixedTimestep, state);
+                    }
+                } else {
+                    entry.callback(state.delta, state.elapsed, state);
+                }
+            });
+        });
+    }
+
+    function loop(time) {
+        frameId = clock.requestFrame(loop);
+        tick(time !== undefined ? time : clock.now());
+    }
+
+    function start() {
+        if (running) return;
+        running = true;
+        lastTime = null;
+        frameId = clock.requestFrame(loop);
+    }
+
+    function stop() {
+        if (!running) return;
+        running = false;
+        clock.cancelFrame(frameId);
+        frameId = null;
+    }
+
+    return {
+        state,
+        clock,
+        add,
+        remove,
+        tick,
+        start,
+        stop,
+        isRunning: () => running,
+        pause: () => { state.paused = true; },
+        resume: () => { state.paused = false; },
+        isPaused: () => state.paused,
+        setTimeScale: (timeScale) => { state.timeScale = timeScale; },
+        getTimeScale: () => state.timeScale,
+        clear: () => PHASE_ORDER.forEach(phase => { entries[phase].length = 0; })
+    };
+}
+
+let defaultScheduler = null;
+
+/**
+ * Get the Default Scheduler
+ * A lazily created, already running scheduler shared by every helper that is not handed one explicitly.
+ * @returns {Object} - The shared scheduler
+ */
+export function getDefaultScheduler() {
+    if (!defaultScheduler) {
+        defaultScheduler = createScheduler();
+        defaultScheduler.start();
+    }
+    return defaultScheduler;
+}
@@ -0,0 +1,300 @@
+import * as THREE from 'three';
+import TWEEN from 'three/examples/jsm/libs/tween.module.js';
+import { PHASES, getDefaultScheduler } from './scheduler.js';
+
+/**
+ * Playback Modes
+ * How a timeline behaves when it reaches its end.
+ */
+export const PLAYBACK_MODES = Object.freeze({
+    ONCE: 'once',
+    LOOP: 'loop',
+    PING_PONG: 'pingpong'
+});
+
+/**
+ * Resolve an Easing
+ * Accepts an easing function or a TWEEN easing name such as 'Quadratic.InOut'.
+ * @param {function|string} easing - The easing to resolve
+ * @returns {function} - The easing function (linear when none is given)
+ */
+export function resolveEasing(easing) {
+    if (typeof easing === 'function') {
+        return easing;
+    }
+    if (typeof easing === 'string') {
+        const [family, variant = 'None'] = easing.split('.');
+        const resolved = TWEEN.Easing[family] && TWEEN.Easing[family][variant];
+        if (!resolved) {
+            throw new Error(`Unknown easing "${easing}"`);
+        }
+        return resolved;
+    }
+    return TWEEN.Easing.Linear.None;
+}
+
+/**
+ * Resolve a Property Path
+ * Walks a dotted path such as 'material.uniforms.time.value' or 'children.0.position'.
+ * @param {Object} root - The object the path starts from
+ * @param {string} path - The dotted property path
+ * @returns {{parent: Object, key: string}} - The object owning the final property and its key
+ */
+export function resolvePropertyPath(root, path) {
+    const keys = path.split('.');
+    const key = keys.pop();
+    const parent = keys.reduce((object, part) => {
+        if (object === undefined || object === null || !(part in object)) {
+            throw new Error(`Property path "${path}" does not exist on the target`);
+        }
+        return object[part];
+    }, root);
+
+    if (parent === undefined || parent === null || !(key in parent)) {
+        throw new Error(`Property path "${path}" does not exist on the target`);
+    }
+
+    return { parent, key };
+}
+
+/**
+ * Bring a keyframe value into the same shape as the property it animates,
+ * e.g. [1, 2, 3] for a Vector3 or a hex number for a Color.
+ */
+function normalizeValue(current, value) {
+    if (typeof current === 'number' || current.isEuler) {
+        return current.isEuler && Array.isArray(value) ? new THREE.Euler().fromArray(value) : value;
+    }
+    if (current.isColor) {
+        return new THREE.Color(value);
+    }
+    if (Array.isArray(value)) {
+        return current.clone().fromArray(value);
+    }
+    return current.clone().copy(value);
+}
+
+function interpolate(parent, key, from, to, alpha) {
+    const current = parent[key];
+
+    if (typeof current === 'number') {
+        parent[key] = THREE.MathUtils.lerp(from, to, alpha);
+    } else if (current.isColor) {
+        current.lerpColors(from, to, alpha);
+    } else if (current.isQuaternion) {
+        current.slerpQuaternions(from, to, alpha);
+    } else if (current.isEuler) {
+        current.set(
+            THREE.MathUtils.lerp(from.x, to.x, alpha),
+            THREE.MathUtils.lerp(from.y, to.y, alpha),
+            THREE.MathUtils.lerp(from.z, to.z, alpha)
+        );
+    } else {
+        current.lerpVectors(from, to, alpha);
+    }
+}
+
+/**
+ * Create a Timeline
+ * A keyframe sequencer. Tracks animate any property path of any target between keyframes placed
+ * at explicit times, each key easing in with its own curve. Playback can be scrubbed with seek(),
+ * runs once, loops or ping-pongs, and fires named markers as the playhead crosses them.
+ * The timeline dispatches 'marker', 'loop', 'complete' and 'update' events.
+ * @param {Object} options - Timeline options
+ * @param {number} options.duration - Length in seconds (default: the time of the last key or marker)
+ * @param {string} options.mode - One of PLAYBACK_MODES (default: 'once')
+ * @param {number} options.timeScale - Playback speed multiplier (default: 1)
+ * @param {Object|null} options.scheduler - Scheduler that advances the timeline while it plays; null to call update() yourself (default: the shared scheduler)
+ * @returns {THREE.EventDispatcher} - The timeline
+ */
+export function createTimeline(options = {}) {
+    const scheduler = options.scheduler === undefined ? getDefaultScheduler() : options.scheduler;
+    const tracks = [];
+    const markers = [];
+    let removeUpdate = null;
+    // Markers on the start boundary fire on the first frame of playback and after each loop wrap
+    let startPending = true;
+
+    function getDuration() {
+        if (options.duration !== undefined) {
+            return options.duration;
+        }
+        const lastKey = tracks.reduce((max, track) => Math.max(max, track.keyframes[track.keyframes.length - 1].time), 0);
+        return markers.reduce((max, marker) => Math.max(max, marker.time), lastKey);
+    }
+
+    function applyTracks(time) {
+        tracks.forEach(({ parent, key, keyframes }) => {
+            if (time <= keyframes[0].time) {
+                interpolate(parent, key, keyframes[0].value, keyframes[0].value, 0);
+                return;
+            }
+
+            const nextIndex = keyframes.findIndex(keyframe => keyframe.time > time);
+            if (nextIndex === -1) {
+                const last = keyframes[keyframes.length - 1];
+                interpolate(parent, key, last.value, last.value, 0);
+                return;
+            }
+
+            const from = keyframes[nextIndex - 1];
+            const to = keyframes[nextIndex];
+            const alpha = to.ease((time - from.time) / (to.time - from.time));
+            interpolate(parent, key, from.value, to.value, alpha);
+        });
+    }
+
+    // Fire the markers crossed between two playhead positions, in playback order; `from` itself
+    // only counts when includeStart is set
+    function fireMarkers(from, to, includeStart = false) {
+        const forward = to >= from;
+        const crossed = (marker) => {
+            if (includeStart && marker.time === from) return true;
+            return forward ? marker.time > from && marker.time <= to : marker.time < from && marker.time >= to;
+        };
+        markers
+            .filter(crossed)
+            .sort((a, b) => (forward ? a.time - b.time : b.time - a.time))
+            .forEach((marker) => {
+                if (marker.callback) marker.callback(timeline);
+                timeline.dispatchEvent({ type: 'marker', name: marker.name, time: marker.time });
+            });
+    }
+
+    const timeline = Object.assign(new THREE.EventDispatcher(), {
+        time: 0,
+        direction: 1,
+        playing: false,
+        mode: options.mode || PLAYBACK_MODES.ONCE,
+        timeScale: options.timeScale !== undefined ? options.timeScale : 1,
+
+        /**
+         * Add a track animating one property of a target.
+         * @param {Object} target - The object owning the property (mesh, light, material, ...)
+         * @param {string} path - Property path relative to the target, e.g. 'position' or 'material.uniforms.time.value'
+         * @param {Array<Object>} keyframes - Keys as { time, value, easing }; easing shapes the segment leading into the key
+         * @returns {Object} - The timeline, for chaining
+         */
+        addTrack(target, path, keyframes) {
+            if (!keyframes || keyframes.length === 0) {
+                throw new Error(`Track "${path}" needs at least one keyframe`);
+            }
+
+            const { parent, key } = resolvePropertyPath(target, path);
+            const sorted = keyframes
+                .map(keyframe => ({
+                    time: keyframe.time,
+                    value: normalizeValue(parent[key], keyframe.value),
+                    ease: resolveEasing(keyframe.easing)
+                }))
+                .sort((a, b) => a.time - b.time);
+
+            tracks.push({ target, path, parent, key, keyframes: sorted });
+            return timeline;
+        },
+
+        /**
+         * Add a named marker. The callback runs whenever playback crosses it.
+         * @param {string} name - The marker name
+         * @param {number} time - The marker time in seconds
+         * @param {function} callback - Optional callback receiving the timeline
+         * @returns {Object} - The timeline, for chaining
+         */
+        addMarker(name, time, callback = null) {
+            markers.push({ name, time, callback });
+            return timeline;
+        },
+
+        getMarker: (name) => markers.find(marker => marker.name === name),
+
+        getDuration,
+
+        /**
+         * Move the playhead without firing markers, e.g. while scrubbing.
+         * @param {number|string} time - Time in seconds or a marker name
+         * @returns {Object} - The timeline, for chaining
+         */
+        seek(time) {
+            const marker = typeof time === 'string' ? timeline.getMarker(time) : null;
+            if (typeof time === 'string' && !marker) {
+                throw new Error(`Unknown marker "${time}"`);
+            }
+            timeline.time = THREE.MathUtils.clamp(marker ? marker.time : time, 0, getDuration());
+            startPending = true;
+            applyTracks(timeline.time);
+            timeline.dispatchEvent({ type: 'update', time: timeline.time });
+            return timeline;
+        },
+
+        update(delta) {
+            if (!timeline.playing) return;
+
+            const duration = getDuration();
+            let remaining = delta * timeline.timeScale;
+
+            // Wrapping can consume the delta in several pieces when it spans the end of the timeline
+            while (remaining > 0 && timeline.playing) {
+                const previous = timeline.time;
+                const boundary = timeline.direction > 0 ? duration : 0;
+                const step = Math.min(remaining, Math.abs(boundary - previous));
+
+                timeline.time = previous + step * timeline.direction;
+                remaining -= step;
+                const start = timeline.direction > 0 ? 0 : duration;
+                fireMarkers(previous, timeline.time, startPending && previous === start);
+                startPending = false;
+
+                if (timeline.time !== boundary) break;
+
+                if (timeline.mode === PLAYBACK_MODES.LOOP) {
+                    timeline.time = 0;
+                    startPending = true;
+                    timeline.dispatchEvent({ type: 'loop' });
+                } else if (timeline.mode === PLAYBACK_MODES.PING_PONG) {
+                    timeline.direction *= -1;
+                    timeline.dispatchEvent({ type: 'loop' });
+                } else {
+                    applyTracks(timeline.time);
+                    timeline.pause();
+                    timeline.dispatchEvent({ type: 'complete' });
+                    return;
+                }
+
+                if (duration === 0) break;
+            }
+
+            applyTracks(timeline.time);
+            timeline.dispatchEvent({ type: 'update', time: timeline.time });
+        },
+
+        play() {
+            if (timeline.playing) return timeline;
+            if (timeline.mode === PLAYBACK_MODES.ONCE && timeline.time >= getDuration()) {
+                timeline.time = 0;
+                startPending = true;
+            }
+            timeline.playing = true;
+            if (scheduler) {
+                removeUpdate = scheduler.add(timeline.update, { phase: PHASES.ANIMATION });
+            }
+            return timeline;
+        },
+
+        pause() {
+            timeline.playing = false;
+            if (removeUpdate) {
+                removeUpdate();
+                removeUpdate = null;
+            }
+            return timeline;
+        },
+
+        stop() {
+            timeline.pause();
+            timeline.direction = 1;
+            return timeline.seek(0);
+        }
+    });
+
+    return timeline;
+}
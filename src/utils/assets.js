@@ -0,0 +1,757 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
+import { ThreeMFLoader } from 'three/examples/jsm/loaders/3MFLoader.js';
+import { ColladaLoader } from 'three/examples/jsm/loaders/ColladaLoader.js';
+import { USDZLoader } from 'three/examples/jsm/loaders/USDZLoader.js';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { disposeObject, retainObject } from './resources.js';
+import { LoaderError, NotFoundError, ParseError, UnsupportedFormatError, NetworkError } from './errors.js';
+
+const EXTENSION_TYPES = {
+    png: 'texture', jpg: 'texture', jpeg: 'texture', webp: 'texture', gif: 'texture', bmp: 'texture', avif: 'texture',
+    gltf: 'gltf', glb: 'gltf',
+    obj: 'obj',
+    fbx: 'fbx',
+    stl: 'stl',
+    ply: 'ply',
+    '3mf': '3mf',
+    dae: 'dae',
+    usdz: 'usdz',
+    ktx2: 'ktx2',
+    hdr: 'hdr',
+    exr: 'exr',
+    glsl: 'text', vert: 'text', frag: 'text', vs: 'text', fs: 'text', txt: 'text',
+    json: 'json'
+};
+
+const MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp', gif: 'image/gif', bmp: 'image/bmp', avif: 'image/avif' };
+
+// Used when a URL has no known extension, e.g. an API endpoint serving a model
+const CONTENT_TYPES = {
+    'image/png': 'texture', 'image/jpeg': 'texture', 'image/webp': 'texture', 'image/gif': 'texture', 'image/bmp': 'texture', 'image/avif': 'texture',
+    'model/gltf+json': 'gltf', 'model/gltf-binary': 'gltf',
+    'model/obj': 'obj',
+    'model/stl': 'stl', 'model/x.stl-binary': 'stl', 'model/x.stl-ascii': 'stl', 'application/sla': 'stl',
+    'model/3mf': '3mf', 'application/vnd.ms-package.3dmanufacturing-3dmodel+xml': '3mf',
+    'model/vnd.collada+xml': 'dae',
+    'model/vnd.usdz+zip': 'usdz',
+    'image/ktx2': 'ktx2',
+    'image/vnd.radiance': 'hdr',
+    'image/x-exr': 'exr', 'image/aces': 'exr',
+    'application/json': 'json',
+    'text/plain': 'text'
+};
+
+/**
+ * Model Asset Types
+ * The asset types that load as a THREE.Object3D.
+ */
+export const MODEL_TYPES = Object.freeze(['gltf', 'obj', 'fbx', 'stl', 'ply', '3mf', 'dae', 'usdz']);
+
+/**
+ * Texture Asset Types
+ * The asset types that load as a THREE.Texture.
+ */
+export const TEXTURE_TYPES = Object.freeze(['texture', 'cubeTexture', 'ktx2', 'hdr', 'exr']);
+
+/**
+ * Decoder Paths
+ * Where the Draco decoder and the Basis transcoder are served from. The files are copied from
+ * three/examples/jsm/libs into public/assets/decoders, so nothing is fetched from a CDN.
+ */
+export const DECODER_PATHS = Object.freeze({
+    draco: 'assets/decoders/draco/',
+    basis: 'assets/decoders/basis/'
+});
+
+const GLB_MAGIC = 0x46546c67;
+
+function getExtension(url) {
+    return url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+}
+
+/**
+ * Guess the Asset Type of a URL
+ * @param {string|string[]} url - The URL, or six URLs for a cube texture
+ * @returns {string|undefined} - One of MODEL_TYPES or TEXTURE_TYPES, 'text' or 'json'
+ */
+export function getAssetType(url) {
+    if (Array.isArray(url)) return 'cubeTexture';
+    return EXTENSION_TYPES[getExtension(url)];
+}
+
+/**
+ * Get the Asset Type of a MIME Type
+ * @param {string} contentType - A Content-Type header value, parameters are ignored
+ * @returns {string|undefined} - The asset type, as for getAssetType
+ */
+export function getAssetTypeForMime(contentType) {
+    if (!contentType) return undefined;
+    return CONTENT_TYPES[contentType.split(';')[0].trim().toLowerCase()];
+}
+
+/**
+ * Detect the Compression used by a glTF
+ * Reads the extension lists from the JSON of a .gltf file or the JSON chunk of a .glb.
+ * @param {ArrayBuffer} buffer - The downloaded file
+ * @returns {{draco: boolean, meshopt: boolean, ktx2: boolean}} - Which decoders the file needs
+ */
+export function detectGLTFCompression(buffer) {
+    let json = null;
+    try {
+        const view = new DataView(buffer);
+        const text = buffer.byteLength >= 20 && view.getUint32(0, true) === GLB_MAGIC
+            ? new TextDecoder().decode(new Uint8Array(buffer, 20, view.getUint32(12, true)))
+            : new TextDecoder().decode(buffer);
+        json = JSON.parse(text);
+    } catch (error) {
+        // Not readable here; GLTFLoader reports the actual problem when it parses the file
+    }
+
+    const extensions = new Set(json ? [...(json.extensionsUsed || []), ...(json.extensionsRequired || [])] : []);
+    return {
+        draco: extensions.has('KHR_draco_mesh_compression'),
+        meshopt: extensions.has('EXT_meshopt_compression'),
+        ktx2: extensions.has('KHR_texture_basisu')
+    };
+}
+
+/**
+ * Get the Compressed Texture Support of a Renderer
+ * The GPU formats a KTX2/Basis texture can be transcoded to. Without any of them, KTX2 textures
+ * still load but are transcoded to uncompressed RGBA.
+ * @param {THREE.WebGLRenderer} renderer - The renderer
+ * @returns {{astc: boolean, etc1: boolean, etc2: boolean, s3tc: boolean, bptc: boolean, pvrtc: boolean, any: boolean}} - The supported formats
+ */
+export function getCompressedTextureSupport(renderer) {
+    const has = name => renderer.extensions.has(name);
+    const support = {
+        astc: has('WEBGL_compressed_texture_astc'),
+        etc1: has('WEBGL_compressed_texture_etc1'),
+        etc2: has('WEBGL_compressed_texture_etc'),
+        s3tc: has('WEBGL_compressed_texture_s3tc'),
+        bptc: has('EXT_texture_compression_bptc'),
+        pvrtc: has('WEBGL_compressed_texture_pvrtc')
+    };
+    support.any = Object.values(support).some(Boolean);
+    return support;
+}
+
+function abortError(signal) {
+    return signal.reason || new DOMException('The asset load was aborted', 'AbortError');
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(abortError(signal));
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Read a response body in chunks so progress can be reported before it completes
+async function readBody(response, onProgress) {
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    if (!response.body || !response.body.getReader) {
+        const buffer = await response.arrayBuffer();
+        onProgress(buffer.byteLength, buffer.byteLength);
+        return buffer;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.byteLength;
+        onProgress(loaded, total);
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    });
+    return bytes.buffer;
+}
+
+function httpError(url, response) {
+    const message = `Failed to load "${url}": HTTP ${response.status} ${response.statusText}`;
+    if (response.status === 404 || response.status === 410) {
+        return new NotFoundError(message, { url, status: response.status });
+    }
+    return new NetworkError(message, { url, status: response.status });
+}
+
+// The dev server answers unknown paths with index.html, so a missing shader would otherwise load as HTML
+function isHTMLFallback(url, response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    return contentType.startsWith('text/html') && !['html', 'htm'].includes(getExtension(url));
+}
+
+function cloneAsset(type, asset) {
+    // Texture clones share the image source, so the GPU upload is shared too
+    if (TEXTURE_TYPES.includes(type)) return asset.clone();
+    if (MODEL_TYPES.includes(type)) return cloneSkinned(asset);
+    if (type === 'json') return JSON.parse(JSON.stringify(asset));
+    return asset;
+}
+
+// STL and PLY files hold a single geometry; wrap it like the other formats so every model is a group
+function createGeometryModel(geometry, name, options = {}) {
+    const vertexColors = geometry.hasAttribute('color');
+    let object;
+    if (options.points) {
+        object = new THREE.Points(geometry, new THREE.PointsMaterial({ size: 0.01, vertexColors }));
+    } else {
+        if (!geometry.hasAttribute('normal')) geometry.computeVertexNormals();
+        const opacity = options.opacity === undefined ? 1 : options.opacity;
+        object = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+            color: vertexColors ? 0xffffff : 0xcccccc,
+            vertexColors,
+            opacity,
+            transparent: opacity < 1
+        }));
+    }
+    object.name = name;
+
+    const group = new THREE.Group();
+    group.name = name;
+    group.add(object);
+    return group;
+}
+
+function disposeAsset(asset) {
+    if (asset && asset.isObject3D) {
+        disposeObject(asset);
+    } else if (asset && typeof asset.dispose === 'function') {
+        asset.dispose();
+    }
+}
+
+/**
+ * Create an Asset Manager
+ * Central loading for textures, models and shaders on top of a THREE.LoadingManager:
+ * - requests for the same URL are deduplicated and parsed results are cached; every load returns a
+ *   clone of the cached asset, so it can be changed without affecting the other users
+ * - progress of everything in flight is aggregated into one value and, optionally, the #loading overlay
+ * - named bundles from a manifest can be preloaded together
+ * - loads can be cancelled with an AbortSignal and failed requests are retried with exponential backoff
+ * - Draco, Meshopt and KTX2 compressed glTF files and .ktx2 textures are detected and their decoders
+ *   set up on first use; KTX2 needs the renderer to pick a GPU format
+ * - models load from glTF, OBJ (with the MTL named by its mtllib line), FBX, STL, PLY, 3MF, Collada and
+ *   USDZ, textures from images, KTX2, Radiance HDR and OpenEXR; URLs without a known extension are
+ *   typed by their Content-Type
+ * Failed loads reject with a NotFoundError, NetworkError, ParseError or UnsupportedFormatError from errors.js.
+ * The manager dispatches 'start', 'progress' ({ progress, url }), 'load' and 'error' ({ url, error }) events.
+ * @param {Object} options - Asset manager options
+ * @param {number} options.retries - How often a failed request is retried (default: 2)
+ * @param {number} options.retryDelay - Delay before the first retry in milliseconds, doubled for every further retry (default: 500)
+ * @param {boolean|Object} options.overlay - Drive the loading overlay; true for the default ids, or element ids { container, progress, text } (default: false)
+ * @param {Object} options.manifest - A manifest to register, see addManifest
+ * @param {THREE.WebGLRenderer} options.renderer - Renderer whose capabilities decide the KTX2 transcode target (can be set later with setRenderer)
+ * @param {Object} options.decoderPaths - Overrides for DECODER_PATHS
+ * @returns {THREE.EventDispatcher} - The asset manager
+ */
+export function createAssetManager(options = {}) {
+    const { retries = 2, retryDelay = 500 } = options;
+
+    const manager = new THREE.LoadingManager();
+    const loaders = {
+        gltf: new GLTFLoader(manager),
+        obj: new OBJLoader(manager),
+        fbx: new FBXLoader(manager),
+        stl: new STLLoader(manager),
+        ply: new PLYLoader(manager),
+        '3mf': new ThreeMFLoader(manager),
+        dae: new ColladaLoader(manager),
+        usdz: new USDZLoader(manager),
+        // Images are fetched by the asset manager; these only decode the downloaded blobs
+        texture: new THREE.TextureLoader(),
+        cubeTexture: new THREE.CubeTextureLoader(),
+        hdr: new RGBELoader(),
+        exr: new EXRLoader()
+    };
+
+    const decoderPaths = { ...DECODER_PATHS, ...(options.decoderPaths || {}) };
+    let renderer = options.renderer || null;
+    let dracoLoader = null;
+    let ktx2Loader = null;
+    let meshoptReady = null;
+
+    const cache = new Map();
+    const pending = new Map();
+    const bundles = new Map();
+    const fractions = new Map();
+    let sessionStart = 0;
+    let itemsLoaded = 0;
+    let itemsTotal = 0;
+
+    function emitProgress(url) {
+        const partial = Array.from(fractions.values()).reduce((sum, fraction) => sum + fraction, 0);
+        const total = itemsTotal - sessionStart;
+        const progress = total > 0 ? Math.min((itemsLoaded - sessionStart + partial) / total, 1) : 1;
+        assets.dispatchEvent({ type: 'progress', progress, url, itemsLoaded: itemsLoaded - sessionStart, itemsTotal: total });
+    }
+
+    manager.onStart = (url, loaded, total) => {
+        sessionStart = loaded;
+        itemsLoaded = loaded;
+        itemsTotal = total;
+        assets.dispatchEvent({ type: 'start', url });
+    };
+    manager.onProgress = (url, loaded, total) => {
+        itemsLoaded = loaded;
+        itemsTotal = total;
+        emitProgress(url);
+    };
+    manager.onLoad = () => {
+        assets.dispatchEvent({ type: 'load' });
+    };
+
+    async function fetchWithRetry(url, signal, onProgress) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await fetch(manager.resolveURL(url), { signal });
+                if (!response.ok) throw httpError(url, response);
+                if (isHTMLFallback(url, response)) {
+                    throw new NotFoundError(`Failed to load "${url}": the server sent an HTML page instead, most likely its fallback for a missing file`, { url, status: response.status });
+                }
+                const buffer = await readBody(response, onProgress);
+                return { buffer, contentType: response.headers.get('Content-Type') };
+            } catch (error) {
+                if (signal.aborted) throw abortError(signal);
+                // fetch and body reads reject with a TypeError when the connection fails
+                const failure = error instanceof LoaderError ? error : new NetworkError(`Failed to load "${url}": ${error.message}`, { url, cause: error });
+                // Network failures, server errors and rate limits are worth another try
+                const retryable = failure instanceof NetworkError && (failure.status === undefined || failure.status >= 500 || failure.status === 429);
+                if (!retryable || attempt >= retries) throw failure;
+                await wait(retryDelay * 2 ** attempt, signal);
+            }
+        }
+    }
+
+    function getKTX2Loader(url) {
+        if (ktx2Loader) return ktx2Loader;
+        if (!renderer) {
+            throw new Error(`"${url}" uses KTX2 textures; give the asset manager a renderer first with createAssetManager({ renderer }) or assets.setRenderer(renderer)`);
+        }
+        ktx2Loader = new KTX2Loader(manager).setTranscoderPath(decoderPaths.basis).detectSupport(renderer);
+        loaders.gltf.setKTX2Loader(ktx2Loader);
+        if (!getCompressedTextureSupport(renderer).any) {
+            console.warn('This GPU supports no compressed texture format; KTX2 textures are transcoded to uncompressed RGBA');
+        }
+        return ktx2Loader;
+    }
+
+    // Register only the decoders a file actually needs, so plain models never download them
+    async function prepareGLTFDecoders(buffer, url) {
+        const compression = detectGLTFCompression(buffer);
+        if (compression.draco && !dracoLoader) {
+            dracoLoader = new DRACOLoader(manager).setDecoderPath(decoderPaths.draco);
+            loaders.gltf.setDRACOLoader(dracoLoader);
+        }
+        if (compression.meshopt && !meshoptReady) {
+            meshoptReady = import('three/examples/jsm/libs/meshopt_decoder.module.js').then(({ MeshoptDecoder }) => {
+                loaders.gltf.setMeshoptDecoder(MeshoptDecoder);
+                return MeshoptDecoder.ready;
+            });
+        }
+        if (compression.meshopt) await meshoptReady;
+        if (compression.ktx2) getKTX2Loader(url);
+    }
+
+    async function decodeBlob(loader, buffer, url) {
+        const blobUrl = URL.createObjectURL(new Blob([buffer], { type: MIME_TYPES[getExtension(url)] || '' }));
+        try {
+            const texture = await loader.loadAsync(blobUrl);
+            texture.name = url;
+            return texture;
+        } finally {
+            URL.revokeObjectURL(blobUrl);
+        }
+    }
+
+    // OBJ files name their materials file on an mtllib line; a missing MTL only costs the materials
+    async function parseOBJ(source, path, url, signal) {
+        const mtllib = /^mtllib\s+(.+?)\s*$/m.exec(source);
+        if (!mtllib) return loaders.obj.parse(source);
+
+        const objLoader = new OBJLoader(manager);
+        const mtlUrl = path + mtllib[1];
+        try {
+            const { buffer } = await fetchWithRetry(mtlUrl, signal, () => {});
+            const materials = new MTLLoader(manager).parse(new TextDecoder().decode(buffer), path);
+            materials.preload();
+            objLoader.setMaterials(materials);
+        } catch (error) {
+            if (signal.aborted) throw error;
+            console.warn(`Could not load the materials "${mtlUrl}" of "${url}"; using default materials`, error);
+        }
+        return objLoader.parse(source);
+    }
+
+    async function parse(type, url, buffers, signal) {
+        const path = typeof url === 'string' ? THREE.LoaderUtils.extractUrlBase(url) : '';
+        const name = typeof url === 'string' ? url.split(/[?#]/)[0].split('/').pop() : '';
+        const text = buffer => new TextDecoder().decode(buffer);
+
+        switch (type) {
+            case 'texture':
+                return decodeBlob(loaders.texture, buffers[0], url);
+            case 'hdr':
+            case 'exr':
+                return decodeBlob(loaders[type], buffers[0], url);
+            case 'cubeTexture': {
+                const blobUrls = buffers.map((buffer, index) => URL.createObjectURL(new Blob([buffer], { type: MIME_TYPES[getExtension(url[index])] || '' })));
+                try {
+                    return await loaders.cubeTexture.loadAsync(blobUrls);
+                } finally {
+                    blobUrls.forEach(blobUrl => URL.revokeObjectURL(blobUrl));
+                }
+            }
+            case 'gltf': {
+                await prepareGLTFDecoders(buffers[0], url);
+                const gltf = await loaders.gltf.parseAsync(buffers[0], path);
+                // Keep the clips with the scene; Object3D.animations survives cloning
+                gltf.scene.animations = gltf.animations;
+                gltf.scene.userData.metadata = { ...gltf.asset };
+                return gltf.scene;
+            }
+            case 'obj':
+                return parseOBJ(text(buffers[0]), path, url, signal);
+            case 'fbx':
+                return loaders.fbx.parse(buffers[0], path);
+            case 'stl': {
+                const geometry = loaders.stl.parse(buffers[0]);
+                return createGeometryModel(geometry, name, { opacity: geometry.hasColors ? geometry.alpha : 1 });
+            }
+            case 'ply': {
+                // Without faces a PLY file is a point cloud
+                const geometry = loaders.ply.parse(buffers[0]);
+                return createGeometryModel(geometry, name, { points: geometry.index === null });
+            }
+            case '3mf':
+                return loaders['3mf'].parse(buffers[0]);
+            case 'dae': {
+                const collada = loaders.dae.parse(text(buffers[0]), path);
+                if (!collada) {
+                    throw new ParseError(`Failed to parse "${url}": not a Collada file`, { url });
+                }
+                return collada.scene;
+            }
+            case 'usdz':
+                return loaders.usdz.parse(buffers[0]);
+            case 'ktx2':
+                return new Promise((resolve, reject) => {
+                    getKTX2Loader(url).parse(buffers[0], (texture) => {
+                        texture.name = url;
+                        resolve(texture);
+                    }, reject);
+                });
+            case 'json':
+                return JSON.parse(text(buffers[0]));
+            default:
+                return text(buffers[0]);
+        }
+    }
+
+    // Download and parse one asset, counted as a single item by the LoadingManager
+    async function loadEntry(key, knownType, urls, signal) {
+        const reportUrl = urls[0];
+        manager.itemStart(key);
+        fractions.set(key, 0);
+
+        try {
+            const loadedBytes = urls.map(() => 0);
+            const totalBytes = urls.map(() => 0);
+            const responses = await Promise.all(urls.map((url, index) => fetchWithRetry(url, signal, (loaded, total) => {
+                loadedBytes[index] = loaded;
+                totalBytes[index] = total;
+                const sum = totalBytes.reduce((a, b) => a + b, 0);
+                if (sum > 0) {
+                    // Keep a little headroom for parsing
+                    fractions.set(key, 0.9 * loadedBytes.reduce((a, b) => a + b, 0) / sum);
+                    emitProgress(reportUrl);
+                }
+                const entry = pending.get(key);
+                if (entry) entry.progressListeners.forEach(listener => listener({ url: reportUrl, loaded, total }));
+            })));
+            if (signal.aborted) throw abortError(signal);
+
+            const type = knownType || getAssetTypeForMime(responses[0].contentType);
+            if (!type) {
+                throw new UnsupportedFormatError(`Cannot tell the asset type of "${key}" from its extension or Content-Type "${responses[0].contentType}"; pass options.type`, { url: key });
+            }
+
+            const buffers = responses.map(response => response.buffer);
+            let asset;
+            try {
+                asset = await parse(type, type === 'cubeTexture' ? urls : urls[0], buffers, signal);
+            } catch (error) {
+                if (signal.aborted || error instanceof LoaderError) throw error;
+                throw new ParseError(`Failed to parse "${key}" as ${type}: ${error.message}`, { url: key, cause: error });
+            }
+            if (signal.aborted) {
+                disposeAsset(asset);
+                throw abortError(signal);
+            }
+            if (asset && asset.isObject3D) {
+                asset.userData.metadata = { ...asset.userData.metadata, format: type, url: key };
+                retainObject(asset);
+            }
+            const record = { type, asset };
+            cache.set(key, record);
+            return record;
+        } catch (error) {
+            if (!signal.aborted) {
+                manager.itemError(key);
+                assets.dispatchEvent({ type: 'error', url: key, error });
+            }
+            throw error;
+        } finally {
+            fractions.delete(key);
+            manager.itemEnd(key);
+        }
+    }
+
+    const assets = Object.assign(new THREE.EventDispatcher(), {
+        manager,
+        loaders,
+
+        /**
+         * Load an asset, or take it from the cache.
+         * Concurrent loads of the same URL share one request; aborting one caller's signal only
+         * cancels the request when no other caller is still waiting for it.
+         * @param {string|string[]} url - The URL, or six URLs for a cube texture
+         * @param {Object} loadOptions - Load options
+         * @param {string} loadOptions.type - The asset type (default: guessed from the extension, then from the Content-Type)
+         * @param {AbortSignal} loadOptions.signal - Cancels the load
+         * @param {function} loadOptions.onProgress - Called with { url, loaded, total } as bytes arrive
+         * @param {boolean} loadOptions.clone - Return a clone of the cached asset (default: true)
+         * @returns {Promise<*>} - The texture, model (with its clips in .animations), text or parsed JSON
+         */
+        load(url, loadOptions = {}) {
+            const { signal, onProgress, clone = true } = loadOptions;
+            const type = loadOptions.type || getAssetType(url);
+            const key = Array.isArray(url) ? url.join('|') : url;
+
+            if (signal && signal.aborted) {
+                return Promise.reject(abortError(signal));
+            }
+
+            const finish = record => (clone ? cloneAsset(record.type, record.asset) : record.asset);
+
+            if (cache.has(key)) {
+                return Promise.resolve(finish(cache.get(key)));
+            }
+
+            let entry = pending.get(key);
+            if (!entry) {
+                const controller = new AbortController();
+                entry = { controller, waiters: 0, progressListeners: new Set() };
+                entry.promise = loadEntry(key, type, Array.isArray(url) ? url : [url], controller.signal)
+                    .finally(() => pending.delete(key));
+                pending.set(key, entry);
+            }
+
+            const current = entry;
+            current.waiters++;
+            if (onProgress) current.progressListeners.add(onProgress);
+
+            return new Promise((resolve, reject) => {
+                let settled = false;
+                const done = () => {
+                    settled = true;
+                    current.waiters--;
+                    if (onProgress) current.progressListeners.delete(onProgress);
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                };
+                function onAbort() {
+                    if (settled) return;
+                    done();
+                    if (current.waiters === 0) current.controller.abort(signal.reason);
+                    reject(abortError(signal));
+                }
+
+                if (signal) signal.addEventListener('abort', onAbort, { once: true });
+                current.promise.then((record) => {
+                    if (settled) return;
+                    done();
+                    resolve(finish(record));
+                }, (error) => {
+                    if (settled) return;
+                    done();
+                    reject(error);
+                });
+            });
+        },
+
+        /**
+         * Set the renderer used to pick the KTX2 transcode target.
+         * @param {THREE.WebGLRenderer} newRenderer - The renderer
+         */
+        setRenderer(newRenderer) {
+            renderer = newRenderer;
+            if (ktx2Loader) ktx2Loader.detectSupport(renderer);
+        },
+
+        has: (url) => cache.has(Array.isArray(url) ? url.join('|') : url),
+
+        /**
+         * Get a cached asset without loading it.
+         * @param {string|string[]} url - The URL it was loaded from
+         * @returns {*} - A clone of the cached asset, or null when it is not loaded
+         */
+        get(url) {
+            const entry = cache.get(Array.isArray(url) ? url.join('|') : url);
+            return entry ? cloneAsset(entry.type, entry.asset) : null;
+        },
+
+        /**
+         * Register bundles from a manifest:
+         * { "bundles": { "level1": ["models/robot.glb", { "key": "floor", "url": "textures/floor.jpg", "type": "texture" }] } }
+         * @param {Object} manifest - The manifest
+         */
+        addManifest(manifest) {
+            Object.entries(manifest.bundles || {}).forEach(([name, entries]) => {
+                bundles.set(name, entries.map(entry => (typeof entry === 'string' ? { url: entry } : { ...entry })));
+            });
+        },
+
+        /**
+         * Fetch a manifest JSON file and register its bundles.
+         * @param {string} url - The manifest URL
+         * @param {Object} loadOptions - Options: signal
+         * @returns {Promise<Object>} - The manifest
+         */
+        async loadManifest(url, loadOptions = {}) {
+            const manifest = await assets.load(url, { type: 'json', signal: loadOptions.signal });
+            assets.addManifest(manifest);
+            return manifest;
+        },
+
+        /**
+         * Load every asset of a bundle.
+         * @param {string} name - The bundle name
+         * @param {Object} loadOptions - Options passed to load (signal, onProgress)
+         * @returns {Promise<Object>} - The assets keyed by their key, or their URL when they have none
+         */
+        async loadBundle(name, loadOptions = {}) {
+            const entries = bundles.get(name);
+            if (!entries) {
+                throw new Error(`Unknown asset bundle "${name}"`);
+            }
+            const loaded = await Promise.all(entries.map(entry => assets.load(entry.url, { ...loadOptions, type: entry.type })));
+            const result = {};
+            entries.forEach((entry, index) => {
+                result[entry.key || entry.url] = loaded[index];
+            });
+            return result;
+        },
+
+        getBundles: () => Array.from(bundles.keys()),
+
+        /**
+         * Drop an asset from the cache and free its GPU resources. Clones handed out earlier keep
+         * working until they are disposed themselves.
+         * @param {string|string[]} url - The URL it was loaded from
+         */
+        release(url) {
+            const key = Array.isArray(url) ? url.join('|') : url;
+            const entry = cache.get(key);
+            if (!entry) return;
+            cache.delete(key);
+            disposeAsset(entry.asset);
+        },
+
+        clear() {
+            Array.from(cache.keys()).forEach(key => assets.release(key));
+        },
+
+        dispose() {
+            pending.forEach(entry => entry.controller.abort());
+            assets.clear();
+            if (dracoLoader) dracoLoader.dispose();
+            if (ktx2Loader) ktx2Loader.dispose();
+        }
+    });
+
+    if (options.manifest) assets.addManifest(options.manifest);
+    if (options.overlay) bindLoadingOverlay(assets, options.overlay === true ? {} : options.overlay);
+
+    return assets;
+}
+
+/**
+ * Bind the Loading Overlay
+ * Shows the overlay while an asset manager is loading, fills its progress bar and hides it when done.
+ * Does nothing when the elements are not in the page.
+ * @param {Object} assets - The asset manager
+ * @param {Object} ids - Element ids: container (default: 'loading'), progress (default: 'loading-progress') and text (default: 'loading-text')
+ * @returns {function} - Call to unbind
+ */
+export function bindLoadingOverlay(assets, ids = {}) {
+    if (typeof document === 'undefined') return () => {};
+    const container = document.getElementById(ids.container || 'loading');
+    const progressBar = document.getElementById(ids.progress || 'loading-progress');
+    const text = document.getElementById(ids.text || 'loading-text');
+    if (!container) return () => {};
+
+    const onStart = () => {
+        container.style.display = '';
+        if (progressBar) progressBar.style.width = '0%';
+    };
+    const onProgress = (event) => {
+        const percent = Math.round(event.progress * 100);
+        if (progressBar) progressBar.style.width = `${percent}%`;
+        if (text) text.textContent = `Loading... ${percent}%`;
+    };
+    const onLoad = () => {
+        if (progressBar) progressBar.style.width = '100%';
+        container.style.display = 'none';
+    };
+
+    assets.addEventListener('start', onStart);
+    assets.addEventListener('progress', onProgress);
+    assets.addEventListener('load', onLoad);
+
+    return () => {
+        assets.removeEventListener('start', onStart);
+        assets.removeEventListener('progress', onProgress);
+        assets.removeEventListener('load', onLoad);
+    };
+}
+
+let defaultAssetManager = null;
+
+/**
+ * Get the Default Asset Manager
+ * The shared asset manager used by the loader functions, created on first use and bound to the
+ * #loading overlay of the page.
+ * @returns {Object} - The shared asset manager
+ */
+export function getDefaultAssetManager() {
+    if (!defaultAssetManager) {
+        defaultAssetManager = createAssetManager({ overlay: true });
+    }
+    return defaultAssetManager;
+}
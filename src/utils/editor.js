@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { captureTransform, createTransformCommand, transformChanged } from './history.js';
+
+/**
+ * Create a Transform Editor
+ * An in-viewport edit mode around TransformControls: translate, rotate and scale gizmos with
+ * snapping and local/world space. Orbit controls are switched off while a gizmo is dragged, and
+ * every finished drag is recorded on the command stack so it can be undone.
+ * The editor dispatches 'attach', 'detach' and 'change' (while dragging) events.
+ * @param {THREE.Camera} camera - The camera the gizmo is viewed through
+ * @param {HTMLElement} domElement - The element receiving pointer events, usually renderer.domElement
+ * @param {Object} options - Editor options
+ * @param {THREE.Scene} options.scene - The scene the gizmo is added to
+ * @param {Object} options.orbitControls - Orbit controls to pause while dragging
+ * @param {Object} options.history - Command stack from createCommandStack that records the edits
+ * @param {string} options.mode - Initial mode: 'translate', 'rotate' or 'scale' (default: 'translate')
+ * @param {string} options.space - Initial space: 'world' or 'local' (default: 'world')
+ * @param {Object} options.snap - Snapping steps: translate (units), rotate (degrees), scale; null turns one off
+ * @returns {THREE.EventDispatcher} - The transform editor
+ */
+export function createTransformEditor(camera, domElement, options = {}) {
+    const { scene = null, orbitControls = null, history = null } = options;
+
+    const controls = new TransformControls(camera, domElement);
+    const helper = controls.getHelper ? controls.getHelper() : controls;
+    let before = null;
+
+    controls.setMode(options.mode || 'translate');
+    controls.setSpace(options.space || 'world');
+    if (scene) scene.add(helper);
+
+    function onDraggingChanged(event) {
+        if (orbitControls) orbitControls.enabled = !event.value;
+    }
+
+    function onMouseDown() {
+        before = controls.object ? captureTransform(controls.object) : null;
+    }
+
+    function onMouseUp() {
+        const object = controls.object;
+        if (!object || !before) return;
+
+        const after = captureTransform(object);
+        if (history && transformChanged(before, after)) {
+            const mode = controls.getMode();
+            history.push(createTransformCommand(object, before, after, `${mode.charAt(0).toUpperCase()}${mode.slice(1)} ${object.name || object.type}`));
+        }
+        before = null;
+    }
+
+    function onObjectChange() {
+        editor.dispatchEvent({ type: 'change', object: controls.object });
+    }
+
+    controls.addEventListener('dragging-changed', onDraggingChanged);
+    controls.addEventListener('mouseDown', onMouseDown);
+    controls.addEventListener('mouseUp', onMouseUp);
+    controls.addEventListener('objectChange', onObjectChange);
+
+    const editor = Object.assign(new THREE.EventDispatcher(), {
+        controls,
+        helper,
+
+        attach(object) {
+            controls.attach(object);
+            editor.dispatchEvent({ type: 'attach', object });
+            return editor;
+        },
+
+        detach() {
+            const object = controls.object;
+            controls.detach();
+            if (object) editor.dispatchEvent({ type: 'detach', object });
+            return editor;
+        },
+
+        getObject: () => controls.object || null,
+
+        setMode(mode) {
+            controls.setMode(mode);
+            return editor;
+        },
+
+        getMode: () => controls.getMode(),
+
+        setSpace(space) {
+            controls.setSpace(space);
+            return editor;
+        },
+
+        toggleSpace() {
+            controls.setSpace(controls.space === 'local' ? 'world' : 'local');
+            return editor;
+        },
+
+        /**
+         * Set the snapping steps; leave a key out to keep its current value, or pass null to turn it off.
+         * @param {Object} snap - translate (units), rotate (degrees) and scale steps
+         * @returns {Object} - The editor, for chaining
+         */
+        setSnap(snap = {}) {
+            if (snap.translate !== undefined) controls.setTranslationSnap(snap.translate);
+            if (snap.rotate !== undefined) controls.setRotationSnap(snap.rotate === null ? null : THREE.MathUtils.degToRad(snap.rotate));
+            if (snap.scale !== undefined) controls.setScaleSnap(snap.scale);
+            return editor;
+        },
+
+        setEnabled(enabled) {
+            controls.enabled = enabled;
+            helper.visible = enabled && !!controls.object;
+            return editor;
+        },
+
+        dispose() {
+            controls.removeEventListener('dragging-changed', onDraggingChanged);
+            controls.removeEventListener('mouseDown', onMouseDown);
+            controls.removeEventListener('mouseUp', onMouseUp);
+            controls.removeEventListener('objectChange', onObjectChange);
+            controls.detach();
+            if (helper.parent) helper.parent.remove(helper);
+            controls.dispose();
+        }
+    });
+
+    if (options.snap) editor.setSnap(options.snap);
+
+    return editor;
+}
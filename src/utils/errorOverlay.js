@@ -0,0 +1,91 @@
+const OVERLAY_ID = 'error-overlay';
+
+/**
+ * Check for a Development Build
+ * @returns {boolean} - True when running under the Vite dev server
+ */
+export function isDevelopment() {
+    return Boolean(import.meta.env && import.meta.env.DEV);
+}
+
+function getOverlay() {
+    let overlay = document.getElementById(OVERLAY_ID);
+    if (overlay) return overlay;
+
+    overlay = document.createElement('div');
+    overlay.id = OVERLAY_ID;
+
+    const close = document.createElement('button');
+    close.className = 'error-overlay-close';
+    close.textContent = '×';
+    close.title = 'Dismiss';
+    close.addEventListener('click', hideErrorOverlay);
+    overlay.appendChild(close);
+
+    document.body.appendChild(overlay);
+    return overlay;
+}
+
+/**
+ * Show an Error Overlay
+ * Lists the error on an on-screen panel, so failures are visible without the console. The same
+ * message is only listed once; the panel stays until dismissed.
+ * @param {Error|string} error - The error
+ * @param {Object} options - Display options
+ * @param {string} options.title - Heading of the entry (default: the error name)
+ * @param {string} options.details - Preformatted text shown below the message, e.g. a code snippet
+ */
+export function showErrorOverlay(error, options = {}) {
+    if (typeof document === 'undefined') return;
+    const message = error instanceof Error ? error.message : String(error);
+    const title = options.title || (error instanceof Error ? error.name : 'Error');
+    const overlay = getOverlay();
+
+    const key = `${title}: ${message}`;
+    if (Array.from(overlay.querySelectorAll('.error-overlay-entry')).some(entry => entry.dataset.key === key)) return;
+
+    const entry = document.createElement('div');
+    entry.className = 'error-overlay-entry';
+    entry.dataset.key = key;
+
+    const heading = document.createElement('div');
+    heading.className = 'error-overlay-title';
+    heading.textContent = title;
+    entry.appendChild(heading);
+
+    const text = document.createElement('div');
+    text.className = 'error-overlay-message';
+    text.textContent = message;
+    entry.appendChild(text);
+
+    if (options.details) {
+        const details = document.createElement('pre');
+        details.className = 'error-overlay-details';
+        details.textContent = options.details;
+        entry.appendChild(details);
+    }
+
+    overlay.appendChild(entry);
+    overlay.style.display = '';
+}
+
+/**
+ * Hide the Error Overlay
+ * Removes the panel and every entry on it.
+ */
+export function hideErrorOverlay() {
+    if (typeof document === 'undefined') return;
+    const overlay = document.getElementById(OVERLAY_ID);
+    if (overlay) overlay.remove();
+}
+
+/**
+ * Report an Error
+ * Logs the error and, in development builds, shows it on the error overlay.
+ * @param {Error|string} error - The error
+ * @param {Object} options - Options passed to showErrorOverlay
+ */
+export function reportError(error, options = {}) {
+    console.error(error);
+    if (isDevelopment()) showErrorOverlay(error, options);
+}
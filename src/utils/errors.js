@@ -0,0 +1,72 @@
+/**
+ * Loader Error
+ * Base class of the errors thrown when an asset fails to load. `url` is the asset that failed,
+ * `status` the HTTP status when there was a response, and `cause` the underlying error if any.
+ */
+export class LoaderError extends Error {
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = 'LoaderError';
+        this.url = options.url;
+        this.status = options.status;
+    }
+}
+
+/**
+ * Not Found Error
+ * The server answered 404/410, or sent an HTML page for a file that is not HTML (the dev server
+ * serves index.html for unknown paths).
+ */
+export class NotFoundError extends LoaderError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * Parse Error
+ * The file was downloaded but could not be decoded as the expected format.
+ */
+export class ParseError extends LoaderError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'ParseError';
+    }
+}
+
+/**
+ * Unsupported Format Error
+ * The format could not be told from the extension or Content-Type, or is not what the caller asked for.
+ */
+export class UnsupportedFormatError extends LoaderError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'UnsupportedFormatError';
+    }
+}
+
+/**
+ * Network Error
+ * The request failed: no connection, CORS, a dropped download or a server error (5xx, 429, ...).
+ */
+export class NetworkError extends LoaderError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * Shader Error
+ * A shader could not be assembled from its files or failed to compile. `file` and `line` point into
+ * the original source file when known, and `cause` holds the underlying error if any.
+ */
+export class ShaderError extends Error {
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = 'ShaderError';
+        this.file = options.file;
+        this.line = options.line;
+    }
+}
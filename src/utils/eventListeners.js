@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { updateCameraAspect } from '../core/camera.js';
 
 /**
  * Handle Window Resize
@@ -11,17 +12,7 @@ export function handleWindowResize(camera, renderer) {
         const width = window.innerWidth;
         const height = window.innerHeight;
 
-        if (camera.isPerspectiveCamera) {
-            camera.aspect = width / height;
-        } else if (camera.isOrthographicCamera) {
-            const aspect = width / height;
-            camera.left = -5 * aspect;
-            camera.right = 5 * aspect;
-            camera.top = 5;
-            camera.bottom = -5;
-        }
-
-        camera.updateProjectionMatrix();
+        updateCameraAspect(camera, width / height);
         renderer.setSize(width, height);
     });
 }
@@ -29,18 +20,22 @@ export function handleWindowResize(camera, renderer) {
 /**
  * Handle Keyboard Input
  * Sets up listeners for keydown and keyup events.
+ * Keys are matched by KeyboardEvent.code (e.g. 'KeyW') first, then by the lowercase key.
+ * For rebindable, named actions use createInputActions from input.js.
  * @param {Object} actions - An object mapping keys to actions
  */
 export function handleKeyboardInput(actions = {}) {
+    const findAction = event => actions[event.code] || actions[event.key.toLowerCase()];
+
     window.addEventListener('keydown', (event) => {
-        const action = actions[event.key.toLowerCase()];
+        const action = findAction(event);
         if (action && action.down) {
             action.down();
         }
     });
 
     window.addEventListener('keyup', (event) => {
-        const action = actions[event.key.toLowerCase()];
+        const action = findAction(event);
         if (action && action.up) {
             action.up();
         }
@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+
+/**
+ * Create a Checkerboard Texture
+ * A small two-colour checkerboard, used in place of textures that failed to load so the missing
+ * texture is obvious in the scene.
+ * @param {Object} options - Texture options
+ * @param {number} options.size - Width and height in pixels (default: 64)
+ * @param {number} options.squares - Number of squares per side (default: 8)
+ * @param {Array<THREE.ColorRepresentation>} options.colors - The two colours (default: magenta and black)
+ * @returns {THREE.DataTexture} - The checkerboard texture
+ */
+export function createCheckerboardTexture(options = {}) {
+    const { size = 64, squares = 8, colors = [0xff00ff, 0x000000] } = options;
+    const [a, b] = colors.map(color => new THREE.Color(color));
+    const data = new Uint8Array(size * size * 4);
+    const squareSize = size / squares;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const color = (Math.floor(x / squareSize) + Math.floor(y / squareSize)) % 2 === 0 ? a : b;
+            const offset = (y * size + x) * 4;
+            data[offset] = Math.round(color.r * 255);
+            data[offset + 1] = Math.round(color.g * 255);
+            data[offset + 2] = Math.round(color.b * 255);
+            data[offset + 3] = 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, size, size);
+    texture.name = 'checkerboard';
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * Create a Placeholder Model
+ * A magenta wireframe cube standing in for a model that failed to load.
+ * @param {number} size - The edge length of the cube (default: 1)
+ * @returns {THREE.Group} - The placeholder, flagged with userData.placeholder
+ */
+export function createPlaceholderModel(size = 1) {
+    const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(size, size, size),
+        new THREE.MeshBasicMaterial({ color: 0xff00ff, wireframe: true })
+    );
+    mesh.name = 'placeholder';
+
+    const group = new THREE.Group();
+    group.name = 'placeholder';
+    group.userData.placeholder = true;
+    group.add(mesh);
+    return group;
+}
+
+/**
+ * Error Shader
+ * Magenta and black stripes in screen space, shown by shader materials that failed to compile.
+ */
+export const ErrorShader = Object.freeze({
+    name: 'ErrorShader',
+    vertexShader: `
+        void main() {
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        void main() {
+            float stripe = step(0.5, fract((gl_FragCoord.x + gl_FragCoord.y) / 16.0));
+            gl_FragColor = vec4(mix(vec3(1.0, 0.0, 1.0), vec3(0.0), stripe), 1.0);
+        }
+    `
+});
+
+/**
+ * Apply the Error Shader
+ * Replaces the shaders of a shader material with the error shader, so a material that failed to
+ * compile or load shows up instead of rendering nothing. Its uniforms and other settings are kept.
+ * @param {THREE.ShaderMaterial} material - The material
+ * @param {Error} error - The error, kept in userData.shaderError
+ * @returns {THREE.ShaderMaterial} - The material
+ */
+export function applyErrorShader(material, error) {
+    material.vertexShader = ErrorShader.vertexShader;
+    material.fragmentShader = ErrorShader.fragmentShader;
+    material.visible = true;
+    material.userData.shaderError = error;
+    material.needsUpdate = true;
+    return material;
+}
+
+/**
+ * Create an Error Material
+ * @returns {THREE.ShaderMaterial} - A new material with the error shader
+ */
+export function createErrorMaterial() {
+    return applyErrorShader(new THREE.ShaderMaterial({ name: 'error' }), null);
+}
@@ -1,12 +1,58 @@
 import GUI from 'lil-gui'; // Alternatively, you can use `dat.GUI` by importing `import * as dat from 'dat.gui';`
+import { captureTransform, createTransformCommand, transformChanged } from './history.js';
+
+/**
+ * Record Transform Edits
+ * Turns every finished slider edit in a folder into an undoable transform command, and refreshes
+ * the sliders whenever the history changes the object.
+ * @param {GUI} folder - The folder holding the transform controllers
+ * @param {THREE.Object3D} object - The object the controllers edit
+ * @param {Object} history - Command stack from createCommandStack
+ * @param {string} name - A label for the recorded commands
+ */
+function recordTransformEdits(folder, object, history, name) {
+    folder.controllers.forEach((controller) => {
+        let before = null;
+        // onChange fires after the value is set, so capture the state as soon as the user grabs the control
+        const capture = () => {
+            if (!before) before = captureTransform(object);
+        };
+        controller.domElement.addEventListener('pointerdown', capture, true);
+        controller.domElement.addEventListener('focusin', capture, true);
+
+        controller.onFinishChange(() => {
+            const after = captureTransform(object);
+            if (before && transformChanged(before, after)) {
+                history.push(createTransformCommand(object, before, after, name));
+            }
+            before = null;
+        });
+    });
+
+    history.addEventListener('change', () => {
+        folder.controllers.forEach(controller => controller.updateDisplay());
+    });
+}
 
 /**
  * Initialize the GUI
  * Creates a new GUI instance for controlling scene elements.
+ * @param {Object} input - Optional input actions; the 'toggleGui' action then shows and hides the panel
  * @returns {GUI} - The created GUI instance
  */
-export function initGUI() {
+export function initGUI(input = null) {
     const gui = new GUI();
+
+    if (input) {
+        let visible = true;
+        input.addEventListener('actiondown', (event) => {
+            if (event.action === 'toggleGui') {
+                visible = !visible;
+                gui.show(visible);
+            }
+        });
+    }
+
     return gui;
 }
 
@@ -16,13 +62,15 @@ export function initGUI() {
  * @param {GUI} gui - The GUI instance to add the controls to
  * @param {THREE.Object3D} object - The object whose position will be controlled
  * @param {string} folderName - The name of the folder to group the controls
+ * @param {Object} history - Optional command stack from createCommandStack that records the edits for undo
  * @returns {GUI} - The folder containing the position controls
  */
-export function addPositionControls(gui, object, folderName = 'Position') {
+export function addPositionControls(gui, object, folderName = 'Position', history = null) {
     const folder = gui.addFolder(folderName);
     folder.add(object.position, 'x', -10, 10).step(0.1).name('X Position');
     folder.add(object.position, 'y', -10, 10).step(0.1).name('Y Position');
     folder.add(object.position, 'z', -10, 10).step(0.1).name('Z Position');
+    if (history) recordTransformEdits(folder, object, history, `Position ${object.name || object.type}`);
     folder.open();
     return folder;
 }
@@ -33,13 +81,15 @@ export function addPositionControls(gui, object, folderName = 'Position') {
  * @param {GUI} gui - The GUI instance to add the controls to
  * @param {THREE.Object3D} object - The object whose rotation will be controlled
  * @param {string} folderName - The name of the folder to group the controls
+ * @param {Object} history - Optional command stack from createCommandStack that records the edits for undo
  * @returns {GUI} - The folder containing the rotation controls
  */
-export function addRotationControls(gui, object, folderName = 'Rotation') {
+export function addRotationControls(gui, object, folderName = 'Rotation', history = null) {
     const folder = gui.addFolder(folderName);
     folder.add(object.rotation, 'x', 0, Math.PI * 2).step(0.01).name('X Rotation');
     folder.add(object.rotation, 'y', 0, Math.PI * 2).step(0.01).name('Y Rotation');
     folder.add(object.rotation, 'z', 0, Math.PI * 2).step(0.01).name('Z Rotation');
+    if (history) recordTransformEdits(folder, object, history, `Rotation ${object.name || object.type}`);
     folder.open();
     return folder;
 }
@@ -50,13 +100,15 @@ export function addRotationControls(gui, object, folderName = 'Rotation') {
  * @param {GUI} gui - The GUI instance to add the controls to
  * @param {THREE.Object3D} object - The object whose scale will be controlled
  * @param {string} folderName - The name of the folder to group the controls
+ * @param {Object} history - Optional command stack from createCommandStack that records the edits for undo
  * @returns {GUI} - The folder containing the scale controls
  */
-export function addScaleControls(gui, object, folderName = 'Scale') {
+export function addScaleControls(gui, object, folderName = 'Scale', history = null) {
     const folder = gui.addFolder(folderName);
     folder.add(object.scale, 'x', 0.1, 10).step(0.1).name('X Scale');
     folder.add(object.scale, 'y', 0.1, 10).step(0.1).name('Y Scale');
     folder.add(object.scale, 'z', 0.1, 10).step(0.1).name('Z Scale');
+    if (history) recordTransformEdits(folder, object, history, `Scale ${object.name || object.type}`);
     folder.open();
     return folder;
 }
@@ -115,4 +167,218 @@ export function addCustomControls(gui, target, property, folderName = 'Custom Co
     folder.add(target, property, range[0], range[1]).step(step).name(property);
     folder.open();
     return folder;
-}
\ No newline at end of file
+}
+
+/**
+ * Add Camera Bookmark Controls to the GUI
+ * Lists the saved camera bookmarks as buttons that restore them, with controls to save the
+ * current view and copy a deep link to it.
+ * @param {GUI} gui - The GUI instance to add the controls to
+ * @param {Object} bookmarks - The bookmarks created with createCameraBookmarks
+ * @param {string} folderName - The name of the folder to group the controls
+ * @returns {GUI} - The folder containing the bookmark controls
+ */
+export function addBookmarkControls(gui, bookmarks, folderName = 'Bookmarks') {
+    const folder = gui.addFolder(folderName);
+    // The name field moves on to the next name after saving, so the link is for the view saved last
+    let lastSaved = null;
+    const params = {
+        name: 'View 1',
+        save: () => {
+            bookmarks.save(params.name);
+            lastSaved = params.name;
+            params.name = `View ${bookmarks.list().length + 1}`;
+            nameController.updateDisplay();
+        },
+        copyLink: () => {
+            const hash = bookmarks.toHash(lastSaved === null ? params.name : lastSaved);
+            const url = `${window.location.href.split('#')[0]}${hash}`;
+            navigator.clipboard.writeText(url).catch(err => {
+                console.error(`Error copying the bookmark link: ${err.message}`);
+            });
+        }
+    };
+
+    const nameController = folder.add(params, 'name').name('Name');
+    folder.add(params, 'save').name('Save View');
+    folder.add(params, 'copyLink').name('Copy Link');
+
+    const saved = folder.addFolder('Saved');
+    let bookmarkControllers = [];
+
+    function refresh() {
+        bookmarkControllers.forEach(controller => controller.destroy());
+        bookmarkControllers = bookmarks.list().map((bookmark) => {
+            return saved.add({ restore: () => bookmarks.restore(bookmark.name) }, 'restore').name(bookmark.name);
+        });
+    }
+
+    bookmarks.addEventListener('change', refresh);
+    refresh();
+
+    folder.open();
+    return folder;
+}
+
+
+/**
+ * Add Keymap Controls to the GUI
+ * Lists every input action with its bindings and a button to rebind it to the next key, mouse
+ * button or gamepad input.
+ * @param {GUI} gui - The GUI instance to add the controls to
+ * @param {Object} input - The input actions created with createInputActions
+ * @param {string} folderName - The name of the folder to group the controls
+ * @returns {GUI} - The folder containing the keymap controls
+ */
+export function addKeymapControls(gui, input, folderName = 'Keymap') {
+    const folder = gui.addFolder(folderName);
+    let controllers = [];
+
+    function refresh() {
+        controllers.forEach(controller => controller.destroy());
+        controllers = input.getActions().map((action) => {
+            const label = `${action}: ${input.getBindings(action).join(', ') || 'unbound'}`;
+            const controller = folder.add({
+                rebind: () => {
+                    controller.name(`${action}: press a key...`);
+                    input.rebind(action).then(refresh);
+                }
+            }, 'rebind').name(label);
+            return controller;
+        });
+    }
+
+    input.addEventListener('change', refresh);
+    refresh();
+
+    folder.close();
+    return folder;
+}
+
+/**
+ * Add Animation Controls to the GUI
+ * Lists the clips of an animation controller with a play/stop toggle and a weight slider each,
+ * plus the loop mode, the cross-fade time and the overall speed. Starting a clip cross-fades
+ * from the clips already playing.
+ * @param {GUI} gui - The GUI instance to add the controls to
+ * @param {Object} animations - The controller created with createAnimationController
+ * @param {string} folderName - The name of the folder to group the controls
+ * @returns {GUI} - The folder containing the animation controls
+ */
+export function addAnimationControls(gui, animations, folderName = 'Animations') {
+    const folder = gui.addFolder(folderName);
+    const params = {
+        loop: 'repeat',
+        fade: 0.3,
+        speed: animations.mixer.timeScale,
+        stopAll: () => animations.stopAll()
+    };
+
+    folder.add(params, 'loop', ['repeat', 'pingpong', 'once']).name('Loop Mode');
+    folder.add(params, 'fade', 0, 2, 0.05).name('Cross-fade (s)');
+    folder.add(params, 'speed', 0, 3, 0.05).name('Speed').onChange(value => animations.setGlobalTimeScale(value));
+    folder.add(params, 'stopAll').name('Stop All');
+
+    const clipsFolder = folder.addFolder('Clips');
+    const clipControllers = [];
+    animations.getClips().forEach((name) => {
+        const clip = {
+            playing: animations.isPlaying(name),
+            weight: animations.getWeight(name)
+        };
+        const playing = clipsFolder.add(clip, 'playing').name(name).onChange((value) => {
+            if (value) {
+                animations.crossFade(null, name, params.fade, { loop: params.loop, weight: clip.weight });
+            } else {
+                animations.stop(name, { fadeOut: params.fade });
+            }
+        });
+        const weight = clipsFolder.add(clip, 'weight', 0, 1, 0.01).name(`${name} weight`).onChange((value) => {
+            animations.setWeight(name, value);
+        });
+        clipControllers.push({ name, clip, playing, weight });
+    });
+
+    // Keep the checkboxes in sync when clips start, finish or are faded out from code
+    function refresh() {
+        clipControllers.forEach(({ name, clip, playing }) => {
+            clip.playing = animations.isPlaying(name);
+            playing.updateDisplay();
+        });
+    }
+
+    // A clip that is fading out still runs, so its box is cleared right away rather than refreshed
+    function onStop(event) {
+        clipControllers.filter(({ name }) => name === event.clip).forEach(({ clip, playing }) => {
+            clip.playing = false;
+            playing.updateDisplay();
+        });
+    }
+
+    ['play', 'finished', 'change'].forEach(type => animations.addEventListener(type, refresh));
+    animations.addEventListener('stop', onStop);
+
+    folder.open();
+    return folder;
+}
+
+/**
+ * Add Post-processing Controls to the GUI
+ * A preset selector and one folder per pass of a post-processing pipeline, with an on/off toggle
+ * and a control for each live setting. The folders are rebuilt when passes are added, removed or moved.
+ * @param {GUI} gui - The GUI instance to add the controls to
+ * @param {Object} pipeline - The pipeline created with createPostProcessingPipeline
+ * @param {Object} presets - The presets offered in the selector, by name (default: none)
+ * @param {string} folderName - The name of the folder to group the controls
+ * @returns {GUI} - The folder containing the post-processing controls
+ */
+export function addPostProcessingControls(gui, pipeline, presets = {}, folderName = 'Post-processing') {
+    const folder = gui.addFolder(folderName);
+    const names = Object.keys(presets);
+    if (names.length > 0) {
+        const params = { preset: names[0] };
+        folder.add(params, 'preset', names).name('Preset').onChange(name => pipeline.applyPreset(presets[name]));
+    }
+
+    let passFolders = [];
+    let refreshing = false;
+
+    function refresh() {
+        passFolders.forEach(passFolder => passFolder.destroy());
+        passFolders = pipeline.getNames().slice(1).map((name) => {
+            const passFolder = folder.addFolder(name);
+            const values = { enabled: pipeline.isEnabled(name), ...pipeline.getParams(name) };
+
+            passFolder.add(values, 'enabled').name('Enabled').onChange((enabled) => {
+                refreshing = true;
+                pipeline.setEnabled(name, enabled);
+                refreshing = false;
+            });
+            pipeline.getParamSpecs(name).forEach(({ key, min, max, step, color, options }) => {
+                let controller;
+                if (color) controller = passFolder.addColor(values, key);
+                else if (options) controller = passFolder.add(values, key, options);
+                else if (typeof values[key] === 'boolean') controller = passFolder.add(values, key);
+                else controller = passFolder.add(values, key, min, max, step);
+                controller.onChange((value) => {
+                    refreshing = true;
+                    pipeline.setParams(name, { [key]: value });
+                    refreshing = false;
+                });
+            });
+
+            passFolder.close();
+            return passFolder;
+        });
+    }
+
+    pipeline.addEventListener('change', (event) => {
+        // Settings changed from these controls are already shown
+        if (refreshing || event.action === 'preset') return;
+        refresh();
+    });
+    refresh();
+
+    folder.open();
+    return folder;
+}
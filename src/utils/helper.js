@@ -163,4 +163,22 @@ export function rotateVectorAroundAxis(vector, axis, angle) {
  */
 export function isPointInsideBoundingBox(point, boundingBox) {
     return boundingBox.containsPoint(point);
-}
\ No newline at end of file
+}
+
+/**
+ * Get the Bounds of an Object
+ * Computes the world-space bounding box and bounding sphere of an object and all of its children.
+ * @param {THREE.Object3D|THREE.Box3} objectOrBox - The object to measure, or an existing bounding box
+ * @param {boolean} precise - Whether to use every vertex instead of the geometry bounding boxes (default: false)
+ * @returns {{box: THREE.Box3, sphere: THREE.Sphere, center: THREE.Vector3, size: THREE.Vector3}} - The bounds
+ */
+export function getObjectBounds(objectOrBox, precise = false) {
+    const box = objectOrBox.isBox3 ? objectOrBox.clone() : new THREE.Box3().setFromObject(objectOrBox, precise);
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    return {
+        box,
+        sphere,
+        center: box.getCenter(new THREE.Vector3()),
+        size: box.getSize(new THREE.Vector3())
+    };
+}
@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+
+/**
+ * Create a Command Stack
+ * Undo/redo history. A command is an object with a name and do() / undo() methods.
+ * The stack dispatches 'change' whenever it is modified, undone or redone.
+ * @param {Object} options - History options
+ * @param {number} options.limit - Maximum number of commands kept for undo (default: 100)
+ * @returns {THREE.EventDispatcher} - The command stack
+ */
+export function createCommandStack(options = {}) {
+    const limit = options.limit || 100;
+    const undoStack = [];
+    const redoStack = [];
+
+    function changed(type, command) {
+        history.dispatchEvent({ type: 'change', action: type, command });
+    }
+
+    const history = Object.assign(new THREE.EventDispatcher(), {
+        /**
+         * Run a command and record it.
+         * @param {Object} command - The command to run
+         * @returns {Object} - The command stack, for chaining
+         */
+        execute(command) {
+            command.do();
+            return history.push(command);
+        },
+
+        /**
+         * Record a command whose change has already been applied, e.g. at the end of a drag.
+         * @param {Object} command - The command to record
+         * @returns {Object} - The command stack, for chaining
+         */
+        push(command) {
+            undoStack.push(command);
+            if (undoStack.length > limit) undoStack.shift();
+            redoStack.length = 0;
+            changed('push', command);
+            return history;
+        },
+
+        undo() {
+            const command = undoStack.pop();
+            if (!command) return null;
+            command.undo();
+            redoStack.push(command);
+            changed('undo', command);
+            return command;
+        },
+
+        redo() {
+            const command = redoStack.pop();
+            if (!command) return null;
+            command.do();
+            undoStack.push(command);
+            changed('redo', command);
+            return command;
+        },
+
+        canUndo: () => undoStack.length > 0,
+
+        canRedo: () => redoStack.length > 0,
+
+        clear() {
+            undoStack.length = 0;
+            redoStack.length = 0;
+            changed('clear', null);
+        },
+
+        /**
+         * Listen for Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) and Ctrl+Y.
+         * Shortcuts are ignored while typing in a text field.
+         * @param {EventTarget} target - Where to listen for keyboard events (default: window)
+         * @returns {function} - Call to stop listening
+         */
+        bindShortcuts(target = window) {
+            const onKeyDown = (event) => {
+                if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+                const tag = event.target && event.target.tagName;
+                if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+
+                if (event.code === 'KeyZ' && !event.shiftKey) {
+                    event.preventDefault();
+                    history.undo();
+                } else if ((event.code === 'KeyZ' && event.shiftKey) || event.code === 'KeyY') {
+                    event.preventDefault();
+                    history.redo();
+                }
+            };
+            target.addEventListener('keydown', onKeyDown);
+            return () => target.removeEventListener('keydown', onKeyDown);
+        }
+    });
+
+    return history;
+}
+
+/**
+ * Capture the Transform of an Object
+ * @param {THREE.Object3D} object - The object
+ * @returns {Object} - A snapshot of its position, quaternion and scale
+ */
+export function captureTransform(object) {
+    return {
+        position: object.position.clone(),
+        quaternion: object.quaternion.clone(),
+        scale: object.scale.clone()
+    };
+}
+
+function applyTransform(object, transform) {
+    object.position.copy(transform.position);
+    object.quaternion.copy(transform.quaternion);
+    object.scale.copy(transform.scale);
+    object.updateMatrixWorld();
+}
+
+/**
+ * Check whether two transform snapshots differ
+ * @param {Object} a - The first snapshot
+ * @param {Object} b - The second snapshot
+ * @returns {boolean} - True if position, rotation or scale changed
+ */
+export function transformChanged(a, b) {
+    return !a.position.equals(b.position) || !a.quaternion.equals(b.quaternion) || !a.scale.equals(b.scale);
+}
+
+/**
+ * Create a Transform Command
+ * An undoable change of an object's position, rotation and scale.
+ * @param {THREE.Object3D} object - The object that was transformed
+ * @param {Object} before - Snapshot from captureTransform before the change
+ * @param {Object} after - Snapshot from captureTransform after the change
+ * @param {string} name - A label for the command (default: 'Transform')
+ * @returns {Object} - The command
+ */
+export function createTransformCommand(object, before, after, name = 'Transform') {
+    return {
+        name,
+        object,
+        do: () => applyTransform(object, after),
+        undo: () => applyTransform(object, before)
+    };
+}
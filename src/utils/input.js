@@ -0,0 +1,268 @@
+import * as THREE from 'three';
+import { PHASES, getDefaultScheduler } from '../core/scheduler.js';
+
+/**
+ * Default Keymap
+ * Binds the built-in actions to physical keys (KeyboardEvent.code, so it works with any layout and
+ * with Caps Lock on) and to the left stick of a standard gamepad.
+ *
+ * Binding strings:
+ * - 'Key:<code>', e.g. 'Key:KeyW' or 'Key:ArrowUp'
+ * - 'Mouse:<button>', e.g. 'Mouse:0' for the primary button
+ * - 'Wheel:up' / 'Wheel:down', active for the frame the wheel turned
+ * - 'GamepadButton:<index>', e.g. 'GamepadButton:0'
+ * - 'GamepadAxis:<index>:<+|->', one half of a stick axis, e.g. 'GamepadAxis:1:-' for stick up
+ */
+export const DEFAULT_KEYMAP = Object.freeze({
+    version: 1,
+    actions: {
+        moveForward: ['Key:KeyW', 'Key:ArrowUp', 'GamepadAxis:1:-'],
+        moveBackward: ['Key:KeyS', 'Key:ArrowDown', 'GamepadAxis:1:+'],
+        moveLeft: ['Key:KeyA', 'Key:ArrowLeft', 'GamepadAxis:0:-'],
+        moveRight: ['Key:KeyD', 'Key:ArrowRight', 'GamepadAxis:0:+'],
+        moveUp: ['Key:KeyQ', 'GamepadButton:5'],
+        moveDown: ['Key:KeyE', 'GamepadButton:4'],
+        toggleGui: ['Key:KeyH']
+    }
+});
+
+/**
+ * Create Input Actions
+ * An input-action layer: named actions bound to keys, mouse buttons, the wheel and gamepad buttons
+ * and axes. Bindings can be changed at runtime and saved as a JSON keymap. Gamepads are polled in
+ * the input phase of the scheduler, and wheel impulses cleared in its post-render phase so every
+ * phase of the frame sees them.
+ * The actions dispatch 'actiondown' and 'actionup' events with the action name.
+ * @param {Object} options - Input options
+ * @param {Object} options.keymap - The keymap to start with (default: DEFAULT_KEYMAP)
+ * @param {EventTarget} options.keyboardTarget - Where keyboard events are read (default: window)
+ * @param {HTMLElement} options.domElement - Where mouse and wheel events are read (default: document)
+ * @param {number} options.deadzone - Gamepad axis values below this count as zero (default: 0.15)
+ * @param {Object|null} options.scheduler - Scheduler that polls the input; null to call update() before and endFrame() after each frame yourself (default: the shared scheduler)
+ * @returns {THREE.EventDispatcher} - The input actions
+ */
+export function createInputActions(options = {}) {
+    const {
+        keyboardTarget = window,
+        domElement = document,
+        deadzone = 0.15
+    } = options;
+    const scheduler = options.scheduler === undefined ? getDefaultScheduler() : options.scheduler;
+
+    const bindings = new Map();
+    const inputValues = new Map();
+    const actionStates = new Map();
+    const wheelImpulses = new Set();
+    let pendingRebind = null;
+
+    function setInput(binding, value) {
+        if (pendingRebind && value > 0.5) {
+            pendingRebind(binding);
+            return;
+        }
+        inputValues.set(binding, value);
+        refreshActions();
+    }
+
+    function refreshActions() {
+        bindings.forEach((actionBindings, action) => {
+            const value = actionBindings.reduce((max, binding) => Math.max(max, inputValues.get(binding) || 0), 0);
+            const wasActive = actionStates.get(action) > 0;
+            actionStates.set(action, value);
+
+            if (value > 0 && !wasActive) {
+                input.dispatchEvent({ type: 'actiondown', action });
+            } else if (value === 0 && wasActive) {
+                input.dispatchEvent({ type: 'actionup', action });
+            }
+        });
+    }
+
+    function onKeyDown(event) {
+        if (event.repeat) return;
+        setInput(`Key:${event.code}`, 1);
+    }
+
+    function onKeyUp(event) {
+        setInput(`Key:${event.code}`, 0);
+    }
+
+    function onMouseDown(event) {
+        setInput(`Mouse:${event.button}`, 1);
+    }
+
+    function onMouseUp(event) {
+        setInput(`Mouse:${event.button}`, 0);
+    }
+
+    function onWheel(event) {
+        const binding = event.deltaY < 0 ? 'Wheel:up' : 'Wheel:down';
+        wheelImpulses.add(binding);
+        setInput(binding, 1);
+    }
+
+    // Release everything when the window loses focus, otherwise keys stay stuck down
+    function onBlur() {
+        inputValues.clear();
+        refreshActions();
+    }
+
+    function pollGamepads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+
+        Array.from(navigator.getGamepads()).forEach((gamepad) => {
+            if (!gamepad) return;
+
+            gamepad.buttons.forEach((button, index) => {
+                const binding = `GamepadButton:${index}`;
+                const value = button.pressed ? Math.max(button.value, 0.5) : 0;
+                if ((inputValues.get(binding) || 0) !== value) setInput(binding, value);
+            });
+
+            gamepad.axes.forEach((axis, index) => {
+                const magnitude = Math.abs(axis) < deadzone ? 0 : (Math.abs(axis) - deadzone) / (1 - deadzone);
+                const positive = `GamepadAxis:${index}:+`;
+                const negative = `GamepadAxis:${index}:-`;
+                const positiveValue = axis > 0 ? magnitude : 0;
+                const negativeValue = axis < 0 ? magnitude : 0;
+                if ((inputValues.get(positive) || 0) !== positiveValue) setInput(positive, positiveValue);
+                if ((inputValues.get(negative) || 0) !== negativeValue) setInput(negative, negativeValue);
+            });
+        });
+    }
+
+    function update() {
+        pollGamepads();
+    }
+
+    // Wheel bindings are impulses that last a single frame
+    function endFrame() {
+        if (wheelImpulses.size > 0) {
+            wheelImpulses.forEach(binding => inputValues.delete(binding));
+            wheelImpulses.clear();
+            refreshActions();
+        }
+    }
+
+    keyboardTarget.addEventListener('keydown', onKeyDown);
+    keyboardTarget.addEventListener('keyup', onKeyUp);
+    domElement.addEventListener('mousedown', onMouseDown);
+    domElement.addEventListener('mouseup', onMouseUp);
+    domElement.addEventListener('wheel', onWheel, { passive: true });
+    window.addEventListener('blur', onBlur);
+    const removeUpdate = scheduler ? scheduler.add(update, { phase: PHASES.INPUT, priority: -1 }) : null;
+    const removeEndFrame = scheduler ? scheduler.add(endFrame, { phase: PHASES.POST_RENDER }) : null;
+
+    const input = Object.assign(new THREE.EventDispatcher(), {
+        update,
+
+        endFrame,
+
+        isActive: (action) => (actionStates.get(action) || 0) > 0,
+
+        /**
+         * Get the current strength of an action, from 0 to 1 (analog for gamepad axes).
+         * @param {string} action - The action name
+         * @returns {number} - The action value
+         */
+        getValue: (action) => actionStates.get(action) || 0,
+
+        /**
+         * Combine two opposing actions into one axis value, from -1 to 1.
+         * @param {string} negativeAction - The action pulling toward -1
+         * @param {string} positiveAction - The action pulling toward 1
+         * @returns {number} - The axis value
+         */
+        getAxis: (negativeAction, positiveAction) => input.getValue(positiveAction) - input.getValue(negativeAction),
+
+        getActions: () => Array.from(bindings.keys()),
+
+        getBindings: (action) => (bindings.get(action) || []).slice(),
+
+        setBindings(action, actionBindings) {
+            bindings.set(action, actionBindings.slice());
+            refreshActions();
+            input.dispatchEvent({ type: 'change', action });
+        },
+
+        bind(action, binding) {
+            const actionBindings = input.getBindings(action);
+            if (!actionBindings.includes(binding)) {
+                input.setBindings(action, [...actionBindings, binding]);
+            }
+        },
+
+        unbind(action, binding) {
+            input.setBindings(action, input.getBindings(action).filter(existing => existing !== binding));
+        },
+
+        /**
+         * Bind an action to the next key, button or stick the user presses.
+         * @param {string} action - The action to rebind
+         * @param {Object} rebindOptions - Options: replace the existing bindings (default: true) and timeout in milliseconds (default: 5000)
+         * @returns {Promise<string|null>} - The new binding, or null when nothing was pressed in time
+         */
+        rebind(action, { replace = true, timeout = 5000 } = {}) {
+            if (pendingRebind) pendingRebind(null);
+
+            return new Promise((resolve) => {
+                const timer = setTimeout(() => finish(null), timeout);
+
+                function finish(binding) {
+                    clearTimeout(timer);
+                    pendingRebind = null;
+                    if (binding) {
+                        if (replace) {
+                            input.setBindings(action, [binding]);
+                        } else {
+                            input.bind(action, binding);
+                        }
+                    }
+                    resolve(binding);
+                }
+
+                pendingRebind = finish;
+            });
+        },
+
+        /**
+         * Replace every binding with the ones in a keymap.
+         * @param {Object|string} keymap - The parsed or raw keymap JSON
+         */
+        fromJSON(keymap) {
+            const data = typeof keymap === 'string' ? JSON.parse(keymap) : keymap;
+            if (!data || typeof data.actions !== 'object') {
+                throw new Error('A keymap needs an "actions" object mapping action names to bindings');
+            }
+            bindings.clear();
+            Object.entries(data.actions).forEach(([action, actionBindings]) => {
+                bindings.set(action, actionBindings.slice());
+            });
+            refreshActions();
+            input.dispatchEvent({ type: 'change' });
+        },
+
+        toJSON() {
+            const actions = {};
+            bindings.forEach((actionBindings, action) => {
+                actions[action] = actionBindings.slice();
+            });
+            return { version: 1, actions };
+        },
+
+        dispose() {
+            keyboardTarget.removeEventListener('keydown', onKeyDown);
+            keyboardTarget.removeEventListener('keyup', onKeyUp);
+            domElement.removeEventListener('mousedown', onMouseDown);
+            domElement.removeEventListener('mouseup', onMouseUp);
+            domElement.removeEventListener('wheel', onWheel);
+            window.removeEventListener('blur', onBlur);
+            if (removeUpdate) removeUpdate();
+            if (removeEndFrame) removeEndFrame();
+        }
+    });
+
+    input.fromJSON(options.keymap || DEFAULT_KEYMAP);
+
+    return input;
+}
@@ -0,0 +1,328 @@
+import * as THREE from 'three';
+
+export const POINTER_EVENTS = Object.freeze(['pointerenter', 'pointerleave', 'pointermove', 'pointerdown', 'pointerup', 'click', 'dblclick', 'contextmenu']);
+
+/**
+ * Create an Emissive Highlight
+ * The default selection highlight: gives selected meshes their own copy of the material with a
+ * tinted emissive color, and puts the original material back when they are deselected.
+ * @param {number} color - The emissive highlight color
+ * @returns {{select: function, deselect: function}} - The highlight hook
+ */
+export function createEmissiveHighlight(color = 0x335577) {
+    const originals = new WeakMap();
+
+    const swap = (material) => {
+        if (!material.emissive) return material;
+        const highlighted = material.clone();
+        highlighted.emissive.set(color);
+        return highlighted;
+    };
+
+    return {
+        select(object) {
+            object.traverse((child) => {
+                if (!child.isMesh || originals.has(child)) return;
+                originals.set(child, child.material);
+                child.material = Array.isArray(child.material)
+                    ? child.material.map(swap)
+                    : swap(child.material);
+            });
+        },
+        deselect(object) {
+            object.traverse((child) => {
+                if (!originals.has(child)) return;
+                const highlighted = Array.isArray(child.material) ? child.material : [child.material];
+                const original = originals.get(child);
+                const originalList = Array.isArray(original) ? original : [original];
+                highlighted.forEach((material) => {
+                    if (!originalList.includes(material)) material.dispose();
+                });
+                child.material = original;
+                originals.delete(child);
+            });
+        }
+    };
+}
+
+/**
+ * Create an Interaction Manager
+ * Raycast-based picking for mouse, touch and pen through Pointer Events. Subscribe to pointerenter,
+ * pointerleave, pointermove, pointerdown, pointerup, click, dblclick and contextmenu on individual
+ * objects; events on a child mesh are delivered to the nearest subscribed ancestor. Keeps a
+ * selection set with a highlight hook.
+ * Handlers receive { type, object, target, intersection, point, instanceId, pointerType, pointerId, originalEvent }.
+ * The manager dispatches 'selectionchange' with the selected objects.
+ * @param {THREE.Camera} camera - The camera to raycast from (can be replaced later via manager.camera)
+ * @param {HTMLElement} domElement - The element receiving pointer events, usually renderer.domElement
+ * @param {Object} options - Interaction options
+ * @param {Array<number>} options.layers - Only objects on one of these layers can be picked (default: layer 0)
+ * @param {boolean} options.selectOnClick - Whether clicks select objects, shift-click adding to the selection (default: false)
+ * @param {Object|null} options.highlight - Selection hook with select(object) and deselect(object); null for none (default: createEmissiveHighlight())
+ * @param {number} options.clickTolerance - Pixels a pointer may move between down and up and still click (default: 5)
+ * @returns {THREE.EventDispatcher} - The interaction manager
+ */
+export function createInteractionManager(camera, domElement, options = {}) {
+    const {
+        layers = [0],
+        selectOnClick = false,
+        clickTolerance = 5
+    } = options;
+    const highlight = options.highlight === undefined ? createEmissiveHighlight() : options.highlight;
+
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const handlers = new Map();
+    const hovered = new Map();
+    const pressed = new Map();
+    const selection = new Set();
+
+    raycaster.layers.disableAll();
+    layers.forEach(layer => raycaster.layers.enable(layer));
+
+    // Nearest ancestor (or the object itself) that has handlers, so groups can be subscribed as a whole
+    function findSubscribed(object) {
+        let current = object;
+        while (current) {
+            if (handlers.has(current)) return current;
+            current = current.parent;
+        }
+        return null;
+    }
+
+    function raycast(clientX, clientY) {
+        const rect = domElement.getBoundingClientRect();
+        pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+        raycaster.setFromCamera(pointer, manager.camera);
+
+        const intersections = raycaster.intersectObjects(Array.from(handlers.keys()), true);
+        for (const intersection of intersections) {
+            const object = findSubscribed(intersection.object);
+            if (object && isVisible(intersection.object)) {
+                return { object, intersection };
+            }
+        }
+        return null;
+    }
+
+    function isVisible(object) {
+        let current = object;
+        while (current) {
+            if (!current.visible) return false;
+            current = current.parent;
+        }
+        return true;
+    }
+
+    function emit(type, hit, event) {
+        const objectHandlers = handlers.get(hit.object);
+        const callbacks = objectHandlers && objectHandlers.get(type);
+        if (!callbacks) return;
+
+        const payload = {
+            type,
+            object: hit.object,
+            target: hit.intersection.object,
+            intersection: hit.intersection,
+            point: hit.intersection.point,
+            instanceId: hit.intersection.instanceId,
+            pointerType: event.pointerType || 'mouse',
+            pointerId: event.pointerId,
+            originalEvent: event
+        };
+        Array.from(callbacks).forEach(callback => callback(payload));
+    }
+
+    const sameTarget = (a, b) => a && b && a.object === b.object && a.intersection.instanceId === b.intersection.instanceId;
+
+    function updateHover(event) {
+        const hit = raycast(event.clientX, event.clientY);
+        const previous = hovered.get(event.pointerId);
+
+        if (!sameTarget(previous, hit)) {
+            if (previous) emit('pointerleave', previous, event);
+            if (hit) emit('pointerenter', hit, event);
+        }
+
+        if (hit) {
+            hovered.set(event.pointerId, hit);
+            emit('pointermove', hit, event);
+        } else {
+            hovered.delete(event.pointerId);
+        }
+        return hit;
+    }
+
+    function onPointerMove(event) {
+        updateHover(event);
+    }
+
+    function onPointerDown(event) {
+        const hit = updateHover(event);
+        pressed.set(event.pointerId, { x: event.clientX, y: event.clientY, hit });
+        if (hit) emit('pointerdown', hit, event);
+    }
+
+    function onPointerUp(event) {
+        const hit = raycast(event.clientX, event.clientY);
+        const down = pressed.get(event.pointerId);
+        pressed.delete(event.pointerId);
+
+        if (hit) emit('pointerup', hit, event);
+
+        // Only a press and release on the same target without dragging counts as a click
+        const moved = down ? Math.hypot(event.clientX - down.x, event.clientY - down.y) : Infinity;
+        if (event.button !== 0 || moved > clickTolerance) return;
+
+        if (hit && sameTarget(down.hit, hit)) {
+            emit('click', hit, event);
+        }
+        if (selectOnClick) {
+            if (hit) {
+                manager.select(hit.object, { additive: event.shiftKey, toggle: event.shiftKey });
+            } else if (!event.shiftKey) {
+                manager.clearSelection();
+            }
+        }
+    }
+
+    function onPointerLeave(event) {
+        const previous = hovered.get(event.pointerId);
+        if (previous) emit('pointerleave', previous, event);
+        hovered.delete(event.pointerId);
+        pressed.delete(event.pointerId);
+    }
+
+    function onDoubleClick(event) {
+        const hit = raycast(event.clientX, event.clientY);
+        if (hit) emit('dblclick', hit, event);
+    }
+
+    function onContextMenu(event) {
+        const hit = raycast(event.clientX, event.clientY);
+        if (hit) {
+            event.preventDefault();
+            emit('contextmenu', hit, event);
+        }
+    }
+
+    function changeSelection(apply) {
+        const before = new Set(selection);
+        apply();
+        before.forEach((object) => {
+            if (!selection.has(object) && highlight) highlight.deselect(object);
+        });
+        selection.forEach((object) => {
+            if (!before.has(object) && highlight) highlight.select(object);
+        });
+        if (before.size !== selection.size || Array.from(before).some(object => !selection.has(object))) {
+            manager.dispatchEvent({ type: 'selectionchange', selection: Array.from(selection) });
+        }
+    }
+
+    domElement.addEventListener('pointermove', onPointerMove);
+    domElement.addEventListener('pointerdown', onPointerDown);
+    domElement.addEventListener('pointerup', onPointerUp);
+    domElement.addEventListener('pointerleave', onPointerLeave);
+    domElement.addEventListener('pointercancel', onPointerLeave);
+    domElement.addEventListener('dblclick', onDoubleClick);
+    domElement.addEventListener('contextmenu', onContextMenu);
+
+    const manager = Object.assign(new THREE.EventDispatcher(), {
+        camera,
+        raycaster,
+        selection,
+
+        /**
+         * Subscribe to a pointer event on an object (and its descendants).
+         * @param {THREE.Object3D} object - The object to watch
+         * @param {string} type - One of POINTER_EVENTS
+         * @param {function} callback - Called with the event payload
+         * @returns {function} - Call to unsubscribe
+         */
+        on(object, type, callback) {
+            if (!POINTER_EVENTS.includes(type)) {
+                throw new Error(`Unknown pointer event "${type}"`);
+            }
+            if (!handlers.has(object)) handlers.set(object, new Map());
+            const objectHandlers = handlers.get(object);
+            if (!objectHandlers.has(type)) objectHandlers.set(type, new Set());
+            objectHandlers.get(type).add(callback);
+            return () => manager.off(object, type, callback);
+        },
+
+        off(object, type, callback) {
+            const objectHandlers = handlers.get(object);
+            if (!objectHandlers || !objectHandlers.has(type)) return;
+            objectHandlers.get(type).delete(callback);
+            if (objectHandlers.get(type).size === 0) objectHandlers.delete(type);
+            if (objectHandlers.size === 0) handlers.delete(object);
+        },
+
+        /**
+         * Make an object pickable and selectable without subscribing to any event.
+         * @param {THREE.Object3D} object - The object
+         * @returns {function} - Call to make it non-interactive again
+         */
+        add(object) {
+            if (!handlers.has(object)) handlers.set(object, new Map());
+            return () => manager.remove(object);
+        },
+
+        remove(object) {
+            handlers.delete(object);
+            changeSelection(() => selection.delete(object));
+        },
+
+        /**
+         * Pick the interactive object under a point on the screen.
+         * @param {number} clientX - The x coordinate in client pixels
+         * @param {number} clientY - The y coordinate in client pixels
+         * @returns {{object: THREE.Object3D, intersection: Object}|null} - The hit, or null
+         */
+        pick: raycast,
+
+        setLayers(layerList) {
+            raycaster.layers.disableAll();
+            layerList.forEach(layer => raycaster.layers.enable(layer));
+        },
+
+        select(object, { additive = false, toggle = false } = {}) {
+            changeSelection(() => {
+                if (toggle && selection.has(object)) {
+                    selection.delete(object);
+                    return;
+                }
+                if (!additive) selection.clear();
+                selection.add(object);
+            });
+        },
+
+        deselect(object) {
+            changeSelection(() => selection.delete(object));
+        },
+
+        clearSelection() {
+            changeSelection(() => selection.clear());
+        },
+
+        isSelected: (object) => selection.has(object),
+
+        dispose() {
+            manager.clearSelection();
+            domElement.removeEventListener('pointermove', onPointerMove);
+            domElement.removeEventListener('pointerdown', onPointerDown);
+            domElement.removeEventListener('pointerup', onPointerUp);
+            domElement.removeEventListener('pointerleave', onPointerLeave);
+            domElement.removeEventListener('pointercancel', onPointerLeave);
+            domElement.removeEventListener('dblclick', onDoubleClick);
+            domElement.removeEventListener('contextmenu', onContextMenu);
+            handlers.clear();
+            hovered.clear();
+            pressed.clear();
+        }
+    });
+
+    return manager;
+}
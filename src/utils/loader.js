@@ -1,12 +1,125 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
-import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
-import { TextureLoader, CubeTextureLoader } from 'three';
+import { getDefaultAssetManager, getAssetType, MODEL_TYPES } from './assets.js';
+import { UnsupportedFormatError } from './errors.js';
+import { createCheckerboardTexture, createPlaceholderModel } from './fallbacks.js';
+import { reportError } from './errorOverlay.js';
+import { getDefaultShaderLibrary } from './shaderLibrary.js';
+import { retainObject } from './resources.js';
+
+// true uses the built-in placeholder, null turns the fallback off
+const fallbacks = { model: true, texture: true };
+let defaultFallbackModel = null;
+let defaultFallbackTexture = null;
+
+// The renderer uploads data and compressed textures differently from images, so the placeholder
+// has to be of the right class before the file arrives
+function createPlaceholderTexture(type) {
+    if (type === 'hdr' || type === 'exr') return new THREE.DataTexture();
+    if (type === 'ktx2') return new THREE.CompressedTexture();
+    return new THREE.Texture();
+}
+
+function adoptTexture(texture, loaded) {
+    texture.source = loaded.source;
+    texture.name = loaded.name;
+    if (loaded.isDataTexture || loaded.isCompressedTexture) {
+        // Decoders choose the pixel format and how it may be filtered
+        texture.mipmaps = loaded.mipmaps;
+        texture.type = loaded.type;
+        texture.format = loaded.format;
+        texture.internalFormat = loaded.internalFormat;
+        texture.colorSpace = loaded.colorSpace;
+        texture.flipY = loaded.flipY;
+        texture.generateMipmaps = loaded.generateMipmaps;
+        texture.minFilter = loaded.minFilter;
+        texture.magFilter = loaded.magFilter;
+        texture.unpackAlignment = loaded.unpackAlignment;
+    }
+    texture.needsUpdate = true;
+}
+
+/**
+ * Set the Loader Fallbacks
+ * What the loaders hand back when an asset fails to load. A failed model resolves to a clone of the
+ * fallback model (a magenta wireframe cube by default) instead of rejecting, and a failed texture
+ * shows the fallback texture (a checkerboard by default). Either way the error is passed to onError,
+ * logged and, in development builds, shown on the error overlay.
+ * @param {Object} options - Fallbacks to change; leave a key out to keep its current value
+ * @param {boolean|THREE.Object3D|null} options.model - true for the built-in placeholder, an object to clone, or null to reject instead
+ * @param {boolean|THREE.Texture|null} options.texture - true for the built-in checkerboard, a texture, or null to leave the texture empty
+ */
+export function setLoaderFallbacks(options = {}) {
+    if (options.model !== undefined) {
+        // Retained so disposing one fallback clone does not free the geometry the others share
+        if (options.model && options.model.isObject3D) retainObject(options.model);
+        fallbacks.model = options.model;
+    }
+    if (options.texture !== undefined) fallbacks.texture = options.texture;
+}
+
+function getFallbackModel(error) {
+    let model = fallbacks.model;
+    if (model === true) {
+        if (!defaultFallbackModel) defaultFallbackModel = retainObject(createPlaceholderModel());
+        model = defaultFallbackModel;
+    }
+    if (!model) return null;
+    const placeholder = model.clone();
+    placeholder.userData.loadError = error;
+    return placeholder;
+}
+
+function getFallbackTexture() {
+    if (fallbacks.texture === true) {
+        if (!defaultFallbackTexture) defaultFallbackTexture = createCheckerboardTexture();
+        return defaultFallbackTexture;
+    }
+    return fallbacks.texture || null;
+}
+
+function applyFallbackTexture(texture, error) {
+    const fallback = getFallbackTexture();
+    // Compressed textures can only take compressed data
+    if (!fallback || texture.isCompressedTexture) return;
+
+    texture.userData.loadError = error;
+    if (Boolean(texture.isDataTexture) === Boolean(fallback.isDataTexture)) {
+        adoptTexture(texture, fallback);
+    } else if (fallback.isDataTexture && fallback.image.data instanceof Uint8Array && typeof ImageData !== 'undefined') {
+        // Image textures are uploaded from an image source, so hand the pixels over as ImageData
+        const { data, width, height } = fallback.image;
+        texture.image = new ImageData(new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength), width, height);
+        texture.name = fallback.name;
+        texture.needsUpdate = true;
+    }
+}
+
+// Aborts are the caller's own doing; everything else is reported and replaced by the fallback if there is one
+function recoverFromError(error, getFallback) {
+    if (error.name === 'AbortError') throw error;
+    reportError(error);
+    const fallback = getFallback(error);
+    if (!fallback) throw error;
+    return fallback;
+}
+
+function loadModelOfType(url, type, onLoad, onProgress, onError) {
+    return getDefaultAssetManager().load(url, { type, onProgress }).then((model) => {
+        onLoad(model);
+        return model;
+    }, (error) => {
+        onError(error);
+        return recoverFromError(error, getFallbackModel);
+    });
+}
 
 /**
  * Load a Texture
- * Loads a texture from a given URL.
+ * Loads a texture from a given URL through the shared asset manager, so repeated URLs are only
+ * downloaded once. The texture is returned right away and filled in when the image arrives.
+ * Besides images, .hdr (Radiance RGBE) and .exr files load as float data textures and .ktx2 files
+ * as GPU compressed textures; for these the decoder's format and filtering replace the defaults.
+ * If the texture fails to load it shows the fallback texture, see setLoaderFallbacks.
  * @param {string} url - The URL of the texture
  * @param {function} onLoad - Callback function when the texture is loaded
  * @param {function} onProgress - Callback function for loading progress
@@ -14,8 +127,20 @@ import { TextureLoader, CubeTextureLoader } from 'three';
  * @returns {THREE.Texture} - The loaded texture
  */
 export function loadTexture(url, onLoad = () => {}, onProgress = () => {}, onError = () => {}) {
-    const loader = new TextureLoader();
-    return loader.load(url, onLoad, onProgress, onError);
+    const extensionType = getAssetType(url);
+    const type = ['ktx2', 'hdr', 'exr'].includes(extensionType) ? extensionType : 'texture';
+    const texture = createPlaceholderTexture(type);
+    getDefaultAssetManager().load(url, { type, onProgress, clone: false }).then((loaded) => {
+        // Share the cached image; settings made on the returned texture in the meantime are kept
+        adoptTexture(texture, loaded);
+        onLoad(texture);
+    }, (error) => {
+        onError(error);
+        if (error.name === 'AbortError') return;
+        reportError(error);
+        applyFallbackTexture(texture, error);
+    });
+    return texture;
 }
 
 /**
@@ -28,13 +153,65 @@ export function loadTexture(url, onLoad = () => {}, onProgress = () => {}, onErr
  * @returns {THREE.CubeTexture} - The loaded cube texture
  */
 export function loadCubeTexture(urls, onLoad = () => {}, onProgress = () => {}, onError = () => {}) {
-    const loader = new CubeTextureLoader();
-    return loader.load(urls, onLoad, onProgress, onError);
+    const texture = new THREE.CubeTexture();
+    getDefaultAssetManager().load(urls, { type: 'cubeTexture', onProgress, clone: false }).then((loaded) => {
+        texture.source = loaded.source;
+        texture.colorSpace = loaded.colorSpace;
+        texture.needsUpdate = true;
+        onLoad(texture);
+    }, (error) => {
+        onError(error);
+        reportError(error);
+    });
+    return texture;
+}
+
+/**
+ * Load a Model
+ * Loads a model in any supported format: glTF/GLB, OBJ (with its MTL materials), FBX, STL, PLY, 3MF,
+ * Collada (.dae) or USDZ. The format comes from the extension, or from the Content-Type when the URL
+ * has none. The scene is a clone of the cached asset. A model that fails to load resolves to the
+ * fallback model with the error in metadata.error, unless the fallback is turned off with setLoaderFallbacks.
+ * @param {string} url - The URL of the model
+ * @param {Object} options - Load options
+ * @param {string} options.format - Force a format, one of MODEL_TYPES (default: detected)
+ * @param {AbortSignal} options.signal - Cancels the load
+ * @param {function} options.onProgress - Called with { url, loaded, total } as bytes arrive
+ * @returns {Promise<{scene: THREE.Object3D, animations: Array<THREE.AnimationClip>, cameras: Array<THREE.Camera>, metadata: Object}>} - The model, its clips, the cameras it contains and its format, url and (for glTF) asset info
+ */
+export async function loadModel(url, options = {}) {
+    const { format, signal, onProgress } = options;
+    if (format !== undefined && !MODEL_TYPES.includes(format)) {
+        throw new UnsupportedFormatError(`Unsupported model format "${format}", expected one of ${MODEL_TYPES.join(', ')}`, { url });
+    }
+
+    let scene;
+    try {
+        const extensionType = getAssetType(url);
+        if (format === undefined && extensionType !== undefined && !MODEL_TYPES.includes(extensionType)) {
+            throw new UnsupportedFormatError(`"${url}" is not a model; supported formats are ${MODEL_TYPES.join(', ')}`, { url });
+        }
+        scene = await getDefaultAssetManager().load(url, { type: format, signal, onProgress });
+        if (!scene || !scene.isObject3D) {
+            throw new UnsupportedFormatError(`"${url}" is not a model; supported formats are ${MODEL_TYPES.join(', ')}`, { url });
+        }
+    } catch (error) {
+        const placeholder = recoverFromError(error, getFallbackModel);
+        return { scene: placeholder, animations: [], cameras: [], metadata: { url, error } };
+    }
+
+    const cameras = [];
+    scene.traverse((object) => {
+        if (object.isCamera) cameras.push(object);
+    });
+    return { scene, animations: scene.animations, cameras, metadata: { ...scene.userData.metadata } };
 }
 
 /**
  * Load a GLTF Model
- * Loads a GLTF model from a given URL.
+ * Loads a GLTF model from a given URL. The model is a clone of the cached asset and carries its
+ * animation clips in model.animations. On failure onError is called and the promise resolves to
+ * the fallback model, or rejects when it is turned off (see setLoaderFallbacks).
  * @param {string} url - The URL of the GLTF model
  * @param {function} onLoad - Callback function when the model is loaded
  * @param {function} onProgress - Callback function for loading progress
@@ -42,21 +219,12 @@ export function loadCubeTexture(urls, onLoad = () => {}, onProgress = () => {},
  * @returns {Promise<THREE.Group>} - The loaded GLTF model
  */
 export function loadGLTFModel(url, onLoad = () => {}, onProgress = () => {}, onError = () => {}) {
-    return new Promise((resolve, reject) => {
-        const loader = new GLTFLoader();
-        loader.load(url, (gltf) => {
-            onLoad(gltf.scene);
-            resolve(gltf.scene);
-        }, onProgress, (error) => {
-            onError(error);
-            reject(error);
-        });
-    });
+    return loadModelOfType(url, 'gltf', onLoad, onProgress, onError);
 }
 
 /**
  * Load an OBJ Model
- * Loads an OBJ model from a given URL.
+ * Loads an OBJ model from a given URL, falling back like loadGLTFModel.
  * @param {string} url - The URL of the OBJ model
  * @param {function} onLoad - Callback function when the model is loaded
  * @param {function} onProgress - Callback function for loading progress
@@ -64,21 +232,12 @@ export function loadGLTFModel(url, onLoad = () => {}, onProgress = () => {}, onE
  * @returns {Promise<THREE.Group>} - The loaded OBJ model
  */
 export function loadOBJModel(url, onLoad = () => {}, onProgress = () => {}, onError = () => {}) {
-    return new Promise((resolve, reject) => {
-        const loader = new OBJLoader();
-        loader.load(url, (obj) => {
-            onLoad(obj);
-            resolve(obj);
-        }, onProgress, (error) => {
-            onError(error);
-            reject(error);
-        });
-    });
+    return loadModelOfType(url, 'obj', onLoad, onProgress, onError);
 }
 
 /**
  * Load an FBX Model
- * Loads an FBX model from a given URL.
+ * Loads an FBX model from a given URL, falling back like loadGLTFModel.
  * @param {string} url - The URL of the FBX model
  * @param {function} onLoad - Callback function when the model is loaded
  * @param {function} onProgress - Callback function for loading progress
@@ -86,34 +245,27 @@ export function loadOBJModel(url, onLoad = () => {}, onProgress = () => {}, onEr
  * @returns {Promise<THREE.Group>} - The loaded FBX model
  */
 export function loadFBXModel(url, onLoad = () => {}, onProgress = () => {}, onError = () => {}) {
-    return new Promise((resolve, reject) => {
-        const loader = new FBXLoader();
-        loader.load(url, (fbx) => {
-            onLoad(fbx);
-            resolve(fbx);
-        }, onProgress, (error) => {
-            onError(error);
-            reject(error);
-        });
-    });
+    return loadModelOfType(url, 'fbx', onLoad, onProgress, onError);
 }
 
 /**
  * Load a Custom Shader
- * Loads vertex and fragment shaders from external files.
+ * Loads vertex and fragment shaders from external files through the shared shader library, which
+ * resolves their #include chunks and injects the given defines. A missing file rejects with a
+ * NotFoundError, also when the dev server answers with its index.html fallback. Materials made
+ * with customShaderMaterial from the result pick up changes to the files and their chunks.
  * @param {string} vertexShaderUrl - The URL of the vertex shader file
  * @param {string} fragmentShaderUrl - The URL of the fragment shader file
+ * @param {Object} options - Options: defines to insert at the top of both shaders
  * @returns {Promise<Object>} - An object containing the loaded vertex and fragment shaders
  */
-export function loadCustomShader(vertexShaderUrl, fragmentShaderUrl) {
-    return new Promise((resolve, reject) => {
-        const vertexShaderPromise = fetch(vertexShaderUrl).then(response => response.text());
-        const fragmentShaderPromise = fetch(fragmentShaderUrl).then(response => response.text());
-
-        Promise.all([vertexShaderPromise, fragmentShaderPromise])
-            .then(([vertexShader, fragmentShader]) => {
-                resolve({ vertexShader, fragmentShader });
-            })
-            .catch(reject);
+export function loadCustomShader(vertexShaderUrl, fragmentShaderUrl, options = {}) {
+    const library = getDefaultShaderLibrary();
+    return Promise.all([
+        library.load(vertexShaderUrl, options),
+        library.load(fragmentShaderUrl, options)
+    ]).then(([vertex, fragment]) => ({ vertexShader: vertex.source, fragmentShader: fragment.source }), (error) => {
+        reportError(error);
+        throw error;
     });
-}
\ No newline at end of file
+}
@@ -1,51 +1,52 @@
 import * as THREE from 'three';
 import Stats from 'stats.js';
+import { PHASES, getDefaultScheduler } from '../core/scheduler.js';
 
 /**
  * Initialize Performance Monitoring
  * Sets up a Stats.js panel to monitor frame rate and performance.
+ * @param {HTMLElement} container - The HTML container element to append the panel to
  * @returns {Stats} - The Stats.js instance
  */
-export function initPerformanceMonitor() {
+export function initPerformanceMonitor(container = document.body) {
     const stats = new Stats();
     stats.showPanel(0); // 0: fps, 1: ms/frame, 2: memory (if available)
-    document.body.appendChild(stats.dom);
+    container.appendChild(stats.dom);
     return stats;
 }
 
 /**
- * Optimize Render Loop with Request Animation Frame
- * Uses requestAnimationFrame to create an optimized render loop.
- * @param {function} renderFunction - The function to call each frame
+ * Optimize Render Loop
+ * Runs the render function in the render phase of the scheduler.
+ * @param {function} renderFunction - The function to call each frame, receiving the delta and elapsed time in seconds
+ * @param {Object} scheduler - The scheduler to run on (default: the shared scheduler)
+ * @returns {function} - Call to stop the render loop
  */
-export function optimizeRenderLoop(renderFunction) {
-    function loop() {
-        requestAnimationFrame(loop);
-        renderFunction();
-    }
-    loop();
+export function optimizeRenderLoop(renderFunction, scheduler = getDefaultScheduler()) {
+    return scheduler.add(renderFunction, { phase: PHASES.RENDER });
 }
 
 /**
  * Limit Frame Rate
  * Limits the frame rate by skipping frames based on the desired fps.
+ * Uses the unscaled frame time so the limit holds while the scheduler is paused or slowed down.
  * @param {function} renderFunction - The function to call each frame
  * @param {number} fps - Desired frames per second (default: 30)
+ * @param {Object} scheduler - The scheduler to run on (default: the shared scheduler)
+ * @returns {function} - Call to stop the render loop
  */
-export function limitFrameRate(renderFunction, fps = 30) {
-    let lastTime = 0;
-    const fpsInterval = 1000 / fps;
+export function limitFrameRate(renderFunction, fps = 30, scheduler = getDefaultScheduler()) {
+    const fpsInterval = 1 / fps;
+    let sinceLastFrame = 0;
 
-    function loop(time) {
-        requestAnimationFrame(loop);
-        const delta = time - lastTime;
+    return scheduler.add((delta, elapsed, state) => {
+        sinceLastFrame += state.rawDelta;
 
-        if (delta > fpsInterval) {
-            lastTime = time - (delta % fpsInterval);
+        if (sinceLastFrame >= fpsInterval) {
+            sinceLastFrame %= fpsInterval;
             renderFunction();
         }
-    }
-    loop(0);
+    }, { phase: PHASES.RENDER });
 }
 
 /**
@@ -69,8 +70,10 @@ export function optimizeShadowMap(renderer, useHighQuality = false) {
  * Reduces the rendering resolution during performance drops to maintain a stable frame rate.
  * @param {THREE.WebGLRenderer} renderer - The renderer to adjust
  * @param {Stats} stats - The Stats.js instance for monitoring performance
+ * @param {Object} scheduler - The scheduler to run on (default: the shared scheduler)
+ * @returns {function} - Call to stop adjusting the resolution
  */
-export function dynamicResolutionScaling(renderer, stats) {
+export function dynamicResolutionScaling(renderer, stats, scheduler = getDefaultScheduler()) {
     const basePixelRatio = window.devicePixelRatio || 1;
 
     function adjustResolution() {
@@ -83,11 +86,7 @@ export function dynamicResolutionScaling(renderer, stats) {
         }
     }
 
-    function loop() {
-        requestAnimationFrame(loop);
-        adjustResolution();
-    }
-    loop();
+    return scheduler.add(adjustResolution, { phase: PHASES.POST_RENDER });
 }
 
 /**
@@ -95,14 +94,16 @@ export function dynamicResolutionScaling(renderer, stats) {
  * Disables or simplifies resource-intensive objects when they are not in view.
  * @param {THREE.Camera} camera - The camera used in the scene
  * @param {Array<THREE.Object3D>} objects - The objects to manage
+ * @param {Object} scheduler - The scheduler to run on (default: the shared scheduler)
+ * @returns {function} - Call to stop managing the objects
  */
-export function manageResourceIntensiveObjects(camera, objects) {
+export function manageResourceIntensiveObjects(camera, objects, scheduler = getDefaultScheduler()) {
     const frustum = new THREE.Frustum();
     const cameraViewProjectionMatrix = new THREE.Matrix4();
 
     function update() {
         camera.updateMatrixWorld();
-        camera.matrixWorldInverse.getInverse(camera.matrixWorld);
+        camera.matrixWorldInverse.copy(camera.matrixWorld).invert();
         cameraViewProjectionMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
         frustum.setFromProjectionMatrix(cameraViewProjectionMatrix);
 
@@ -115,9 +116,6 @@ export function manageResourceIntensiveObjects(camera, objects) {
         });
     }
 
-    function loop() {
-        requestAnimationFrame(loop);
-        update();
-    }
-    loop();
+    // Runs last in the animation phase so visibility reflects this frame's movement
+    return scheduler.add(update, { phase: PHASES.ANIMATION, priority: Infinity });
 }
\ No newline at end of file
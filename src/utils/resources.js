@@ -0,0 +1,339 @@
+const refCounts = new WeakMap();
+const retained = new WeakMap();
+const disposed = new WeakSet();
+const watched = new WeakSet();
+
+function onResourceDispose(event) {
+    disposed.add(event.target);
+}
+
+// Remember when a resource is disposed, whoever calls dispose()
+function watchResource(resource) {
+    if (watched.has(resource)) return;
+    watched.add(resource);
+    resource.addEventListener('dispose', onResourceDispose);
+}
+
+function addTextures(value, resources) {
+    if (!value) return;
+    if (value.isTexture) {
+        resources.add(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => addTextures(item, resources));
+    }
+}
+
+function addMaterial(material, resources) {
+    resources.add(material);
+    Object.values(material).forEach(value => addTextures(value, resources));
+    // Shader materials keep their textures in uniforms
+    if (material.uniforms) {
+        Object.values(material.uniforms).forEach(uniform => addTextures(uniform && uniform.value, resources));
+    }
+}
+
+function addObjectResources(object, resources) {
+    if (object.geometry) resources.add(object.geometry);
+    if (object.material) {
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach(material => addMaterial(material, resources));
+    }
+    if (object.isScene) {
+        addTextures(object.background, resources);
+        addTextures(object.environment, resources);
+    }
+}
+
+/**
+ * Collect the GPU Resources of an Object
+ * Finds every geometry, material and texture used by an object and its descendants
+ * (and the background and environment of a scene).
+ * @param {THREE.Object3D} object - The object to inspect
+ * @returns {Set<Object>} - The geometries, materials and textures
+ */
+export function collectResources(object) {
+    const resources = new Set();
+    object.traverse(child => addObjectResources(child, resources));
+    resources.forEach(watchResource);
+    return resources;
+}
+
+function describeResource(resource) {
+    let type = 'texture';
+    if (resource.isBufferGeometry) type = 'geometry';
+    else if (resource.isMaterial) type = 'material';
+    return { type, name: resource.name || resource.type || '', uuid: resource.uuid };
+}
+
+/**
+ * Retain an Object's Resources
+ * Adds a reference to every geometry, material and texture the object uses, so disposing other
+ * objects that share them (clones of a cached model, for example) does not free them. The
+ * references are dropped again when the retained object or one of its ancestors is disposed.
+ * @param {THREE.Object3D} object - The object whose resources are retained
+ * @returns {THREE.Object3D} - The object
+ */
+export function retainObject(object) {
+    if (retained.has(object)) return object;
+    const resources = collectResources(object);
+    resources.forEach((resource) => {
+        refCounts.set(resource, (refCounts.get(resource) || 0) + 1);
+    });
+    retained.set(object, resources);
+    return object;
+}
+
+/**
+ * Get the Reference Count of a Resource
+ * @param {Object} resource - A geometry, material or texture
+ * @returns {number} - The number of retained objects still using it
+ */
+export function getRefCount(resource) {
+    return refCounts.get(resource) || 0;
+}
+
+function release(object) {
+    const resources = retained.get(object);
+    if (!resources) return;
+    retained.delete(object);
+    resources.forEach((resource) => {
+        const count = (refCounts.get(resource) || 0) - 1;
+        if (count > 0) {
+            refCounts.set(resource, count);
+        } else {
+            refCounts.delete(resource);
+        }
+    });
+}
+
+// What the hierarchy uses outside the subtrees being disposed
+function addResourcesExcept(object, excluded, resources) {
+    if (excluded.has(object)) return;
+    addObjectResources(object, resources);
+    object.children.forEach(child => addResourcesExcept(child, excluded, resources));
+}
+
+/**
+ * Dispose an Object
+ * Removes an object from its parent and frees the GPU memory of its hierarchy: geometries,
+ * materials, textures, skeletons and light shadow maps. A resource is only disposed when no
+ * retained object references it (see retainObject) and nothing left in the object's scene still
+ * uses it, so shared materials and textures stay alive for the objects that remain. An object that
+ * was already detached no longer knows its scene: pass it as options.root, or retain the objects
+ * that share its resources.
+ * @param {THREE.Object3D} object - The object to dispose
+ * @param {Object} options - Dispose options
+ * @param {boolean} options.removeFromParent - Whether to detach the object first (default: true)
+ * @param {THREE.Object3D} options.root - Another hierarchy whose resources are kept, usually the scene a detached object came from
+ * @returns {{disposed: Array<Object>, kept: Array<Object>}} - The resources freed and the ones kept because they are still in use
+ */
+export function disposeObject(object, options = {}) {
+    return disposeObjects([object], options);
+}
+
+/**
+ * Dispose Objects
+ * Disposes several objects like disposeObject, but looks up what the rest of the scene still uses
+ * only once instead of once per object.
+ * @param {Array<THREE.Object3D>} objects - The objects to dispose
+ * @param {Object} options - Dispose options, see disposeObject
+ * @returns {{disposed: Array<Object>, kept: Array<Object>}} - The resources freed and the ones kept because they are still in use
+ */
+export function disposeObjects(objects, options = {}) {
+    const { removeFromParent = true } = options;
+    const excluded = new Set(objects);
+
+    const roots = new Set(options.root ? [options.root] : []);
+    objects.forEach((object) => {
+        let root = object;
+        while (root.parent) root = root.parent;
+        roots.add(root);
+    });
+    const inUse = new Set();
+    roots.forEach(root => addResourcesExcept(root, excluded, inUse));
+
+    objects.forEach((object) => {
+        if (removeFromParent && object.parent) object.parent.remove(object);
+        // Retained descendants hand back their references too
+        object.traverse(release);
+    });
+
+    const resources = new Set();
+    objects.forEach(object => collectResources(object).forEach(resource => resources.add(resource)));
+    const result = { disposed: [], kept: [] };
+
+    resources.forEach((resource) => {
+        if (getRefCount(resource) > 0 || inUse.has(resource)) {
+            result.kept.push(resource);
+        } else {
+            resource.dispose();
+            result.disposed.push(resource);
+        }
+    });
+
+    objects.forEach(object => object.traverse((child) => {
+        if (child.isSkinnedMesh && child.skeleton) child.skeleton.dispose();
+        // Lights free their shadow maps, instanced meshes their instance buffers
+        if ((child.isLight || child.isInstancedMesh) && typeof child.dispose === 'function') child.dispose();
+    }));
+
+    return result;
+}
+
+/**
+ * Create a Leak Detector
+ * Takes snapshots of renderer.info.memory and the resources reachable from a scene, and reports
+ * what was not freed in between: the change in GPU geometries, textures and shader programs, and
+ * the resources of objects that left the scene without being disposed, grouped by owner. Resources
+ * held by a retained object (such as an asset cache) are not counted as leaks.
+ * Call enableDebug() to get a warning as soon as an object is removed while still holding GPU resources.
+ * @param {THREE.WebGLRenderer} renderer - The renderer whose memory is tracked
+ * @param {THREE.Scene} scene - The scene to watch
+ * @returns {Object} - The leak detector
+ */
+export function createLeakDetector(renderer, scene) {
+    let removeDebugListeners = null;
+
+    function ownerName(object) {
+        const names = [];
+        let current = object;
+        while (current && current !== scene) {
+            names.unshift(current.name || current.type);
+            current = current.parent;
+        }
+        return names.join(' > ');
+    }
+
+    function readMemory() {
+        return {
+            geometries: renderer.info.memory.geometries,
+            textures: renderer.info.memory.textures,
+            programs: renderer.info.programs ? renderer.info.programs.length : 0
+        };
+    }
+
+    function ownersOf(root) {
+        const owners = new Map();
+        root.traverse((child) => {
+            const resources = new Set();
+            addObjectResources(child, resources);
+            resources.forEach((resource) => {
+                watchResource(resource);
+                if (!owners.has(resource)) owners.set(resource, ownerName(child) || 'scene');
+            });
+        });
+        return owners;
+    }
+
+    function checkRemoved(object) {
+        if (object.parent) return;
+        const stillUsed = collectResources(scene);
+        const held = Array.from(collectResources(object)).filter(resource => !disposed.has(resource) && !stillUsed.has(resource) && getRefCount(resource) === 0);
+        if (held.length > 0) {
+            const list = held.map((resource) => {
+                const { type, name } = describeResource(resource);
+                return name ? `${type} "${name}"` : type;
+            }).join(', ');
+            console.warn(`"${object.name || object.type}" was removed from the scene but still holds ${held.length} GPU resource(s): ${list}. Dispose it with disposeObject().`);
+        }
+    }
+
+    const detector = {
+        /**
+         * Capture the current GPU memory counters and the resources in the scene.
+         * @returns {Object} - The snapshot
+         */
+        snapshot() {
+            return { memory: readMemory(), owners: ownersOf(scene) };
+        },
+
+        /**
+         * Compare the current state to a snapshot.
+         * @param {Object} snapshot - A snapshot from snapshot()
+         * @param {Object} reportOptions - Options: log the report to the console (default: true)
+         * @returns {{memory: Object, leaks: Array<Object>, clean: boolean}} - Memory deltas and the undisposed resources per owner
+         */
+        report(snapshot, { log = true } = {}) {
+            const now = readMemory();
+            const memory = {};
+            Object.keys(now).forEach((key) => {
+                memory[key] = { before: snapshot.memory[key], after: now[key], delta: now[key] - snapshot.memory[key] };
+            });
+
+            const stillUsed = collectResources(scene);
+            const byOwner = new Map();
+            snapshot.owners.forEach((owner, resource) => {
+                if (disposed.has(resource) || stillUsed.has(resource) || getRefCount(resource) > 0) return;
+                if (!byOwner.has(owner)) byOwner.set(owner, []);
+                byOwner.get(owner).push(describeResource(resource));
+            });
+            const leaks = Array.from(byOwner, ([owner, resources]) => ({ owner, resources }));
+            const clean = leaks.length === 0 && memory.geometries.delta <= 0 && memory.textures.delta <= 0;
+
+            if (log) {
+                if (clean) {
+                    console.info('Leak report: no undisposed GPU resources');
+                } else {
+                    console.warn('Leak report: GPU memory grew or resources were not disposed');
+                    console.table(memory);
+                    leaks.forEach(({ owner, resources }) => {
+                        console.warn(`  ${owner}: ${resources.map(({ type, name }) => (name ? `${type} "${name}"` : type)).join(', ')}`);
+                    });
+                }
+            }
+
+            return { memory, leaks, clean };
+        },
+
+        /**
+         * Warn whenever an object leaves the scene still holding GPU resources that nothing else uses.
+         * The check runs after the current task, so removing and then disposing does not warn.
+         */
+        enableDebug() {
+            if (removeDebugListeners) return;
+            const listening = new Set();
+
+            function onChildRemoved(event) {
+                const child = event.child;
+                setTimeout(() => checkRemoved(child), 0);
+            }
+            function onChildAdded(event) {
+                listen(event.child);
+            }
+            function listen(root) {
+                root.traverse((object) => {
+                    if (listening.has(object)) return;
+                    listening.add(object);
+                    object.addEventListener('childremoved', onChildRemoved);
+                    object.addEventListener('childadded', onChildAdded);
+                });
+            }
+
+            listen(scene);
+            removeDebugListeners = () => {
+                listening.forEach((object) => {
+                    object.removeEventListener('childremoved', onChildRemoved);
+                    object.removeEventListener('childadded', onChildAdded);
+                });
+                listening.clear();
+            };
+        },
+
+        disableDebug() {
+            if (removeDebugListeners) removeDebugListeners();
+            removeDebugListeners = null;
+        }
+    };
+
+    return detector;
+}
+
+/**
+ * Check whether a Resource has been Disposed
+ * Only known for resources seen by collectResources, retainObject or disposeObject.
+ * @param {THREE.BufferGeometry|THREE.Material|THREE.Texture} resource - The resource
+ * @returns {boolean} - Whether dispose() has been called on it
+ */
+export function isDisposed(resource) {
+    return disposed.has(resource);
+}
@@ -0,0 +1,176 @@
+/**
+ * Shader Chunks
+ * The GLSL chunks every shader can `#include <name>`: hashing, value noise and fbm, lighting terms,
+ * colour-space conversions, and the varyings with the vertex code that fills them. The shader
+ * library provides them to its shaders, and includeChunks expands them for plain ShaderMaterials.
+ */
+export const SHADER_CHUNKS = Object.freeze({
+    hash: `
+        // Hash functions: cheap pseudo-random values from coordinates, in the range 0 to 1
+
+        float hash11(float p) {
+            p = fract(p * 0.1031);
+            p *= p + 33.33;
+            p *= p + p;
+            return fract(p);
+        }
+
+        float hash12(vec2 p) {
+            vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+            p3 += dot(p3, p3.yzx + 33.33);
+            return fract((p3.x + p3.y) * p3.z);
+        }
+
+        float hash13(vec3 p3) {
+            p3 = fract(p3 * 0.1031);
+            p3 += dot(p3, p3.zyx + 31.32);
+            return fract((p3.x + p3.y) * p3.z);
+        }
+
+        vec2 hash22(vec2 p) {
+            vec3 p3 = fract(vec3(p.xyx) * vec3(0.1031, 0.1030, 0.0973));
+            p3 += dot(p3, p3.yzx + 33.33);
+            return fract((p3.xx + p3.yz) * p3.zy);
+        }
+
+        vec3 hash33(vec3 p3) {
+            p3 = fract(p3 * vec3(0.1031, 0.1030, 0.0973));
+            p3 += dot(p3, p3.yxz + 33.33);
+            return fract((p3.xxy + p3.yxx) * p3.zyx);
+        }
+    `,
+    noise: `
+        // Value noise and fractal Brownian motion, in the range 0 to 1
+
+        #include <hash>
+
+        float noise(vec2 p) {
+            vec2 i = floor(p);
+            vec2 f = fract(p);
+            vec2 u = f * f * (3.0 - 2.0 * f);
+            return mix(
+                mix(hash12(i), hash12(i + vec2(1.0, 0.0)), u.x),
+                mix(hash12(i + vec2(0.0, 1.0)), hash12(i + vec2(1.0, 1.0)), u.x),
+                u.y
+            );
+        }
+
+        float noise(vec3 p) {
+            vec3 i = floor(p);
+            vec3 f = fract(p);
+            vec3 u = f * f * (3.0 - 2.0 * f);
+            return mix(
+                mix(
+                    mix(hash13(i), hash13(i + vec3(1.0, 0.0, 0.0)), u.x),
+                    mix(hash13(i + vec3(0.0, 1.0, 0.0)), hash13(i + vec3(1.0, 1.0, 0.0)), u.x),
+                    u.y
+                ),
+                mix(
+                    mix(hash13(i + vec3(0.0, 0.0, 1.0)), hash13(i + vec3(1.0, 0.0, 1.0)), u.x),
+                    mix(hash13(i + vec3(0.0, 1.0, 1.0)), hash13(i + vec3(1.0, 1.0, 1.0)), u.x),
+                    u.y
+                ),
+                u.z
+            );
+        }
+
+        #ifndef FBM_OCTAVES
+        #define FBM_OCTAVES 5
+        #endif
+
+        float fbm(vec3 p) {
+            float value = 0.0;
+            float amplitude = 0.5;
+            for (int i = 0; i < FBM_OCTAVES; i++) {
+                value += amplitude * noise(p);
+                p *= 2.0;
+                amplitude *= 0.5;
+            }
+            return value;
+        }
+    `,
+    lighting: `
+        // Simple lighting terms for unlit shader materials; vectors are normalized and point away from the surface
+
+        float lambert(vec3 normal, vec3 lightDirection) {
+            return max(dot(normal, lightDirection), 0.0);
+        }
+
+        float halfLambert(vec3 normal, vec3 lightDirection) {
+            return dot(normal, lightDirection) * 0.5 + 0.5;
+        }
+
+        float blinnPhong(vec3 normal, vec3 lightDirection, vec3 viewDirection, float shininess) {
+            vec3 halfway = normalize(lightDirection + viewDirection);
+            return pow(max(dot(normal, halfway), 0.0), shininess);
+        }
+
+        float fresnel(vec3 normal, vec3 viewDirection, float power) {
+            return pow(1.0 - max(dot(normal, viewDirection), 0.0), power);
+        }
+    `,
+    colorspace: `
+        // Colour-space conversions and helpers
+
+        vec3 sRGBToLinear(vec3 color) {
+            return mix(pow((color + 0.055) / 1.055, vec3(2.4)), color / 12.92, vec3(lessThanEqual(color, vec3(0.04045))));
+        }
+
+        vec3 linearToSRGB(vec3 color) {
+            return mix(1.055 * pow(color, vec3(1.0 / 2.4)) - 0.055, color * 12.92, vec3(lessThanEqual(color, vec3(0.0031308))));
+        }
+
+        float luminance(vec3 color) {
+            return dot(color, vec3(0.2126, 0.7152, 0.0722));
+        }
+
+        vec3 hsvToRGB(vec3 hsv) {
+            vec3 rgb = clamp(abs(mod(hsv.x * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+            return hsv.z * mix(vec3(1.0), rgb, hsv.y);
+        }
+    `,
+    varyings: `
+        // Varyings shared by the vertex and fragment shaders; the vertex side is filled by <varyings_vertex>
+
+        varying vec2 vUv;
+        varying vec3 vNormal;
+        varying vec3 vViewPosition;
+        varying vec3 vWorldPosition;
+    `,
+    varyings_vertex: `
+        // Fills the <varyings> and gl_Position from transformed, the (possibly displaced) local position
+
+        vUv = uv;
+        vNormal = normalize(normalMatrix * normal);
+        vec4 worldPosition = modelMatrix * vec4(transformed, 1.0);
+        vWorldPosition = worldPosition.xyz;
+        vec4 mvPosition = viewMatrix * worldPosition;
+        vViewPosition = -mvPosition.xyz;
+        gl_Position = projectionMatrix * mvPosition;
+    `
+});
+
+// Same pattern as the shader library's #include <name>
+const CHUNK_INCLUDE_PATTERN = /^[ \t]*#include[ \t]+<([\w./-]+)>/;
+
+function expandChunks(source, included) {
+    return source.split('\n').flatMap((line) => {
+        const match = line.match(CHUNK_INCLUDE_PATTERN);
+        if (!match || SHADER_CHUNKS[match[1]] === undefined) return [line];
+        if (included.has(match[1])) return [];
+        included.add(match[1]);
+        return expandChunks(SHADER_CHUNKS[match[1]], included);
+    });
+}
+
+/**
+ * Include Shader Chunks
+ * Replaces the `#include <name>` lines of SHADER_CHUNKS in a source, each chunk once, so the
+ * result can be given to THREE.ShaderMaterial directly. Includes of three.js chunks are left for
+ * three.js to resolve.
+ * @param {string} source - The GLSL source
+ * @returns {string} - The source with the chunks in place
+ */
+export function includeChunks(source) {
+    return expandChunks(source, new Set()).join('\n');
+}
@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import { ShaderError } from './errors.js';
+import { reportError } from './errorOverlay.js';
+import { applyErrorShader } from './fallbacks.js';
+import { getDefaultShaderLibrary } from './shaderLibrary.js';
+
+// The pattern three.js resolves its own chunks with
+const THREE_INCLUDE_PATTERN = /^[ \t]*#include +<([\w\d./]+)>/;
+
+// e.g. "ERROR: 0:12: 'foo' : undeclared identifier"
+const LOG_ERROR_PATTERN = /^ERROR:\s*\d+:(\d+|\?)\s*:\s*(.*)$/;
+
+const SNIPPET_LINES = 3;
+
+const watchedMaterials = new Set();
+
+function onMaterialDispose(event) {
+    watchedMaterials.delete(event.target);
+}
+
+/**
+ * Watch a Shader Material
+ * Lets the shader error handler recognise the material when its shaders fail to compile, so the
+ * error can be mapped to its source and the material falls back to the error shader. Materials of
+ * the shader library are watched already.
+ * @param {THREE.ShaderMaterial} material - The material
+ * @returns {THREE.ShaderMaterial} - The material
+ */
+export function watchShaderMaterial(material) {
+    watchedMaterials.add(material);
+    material.addEventListener('dispose', onMaterialDispose);
+    return material;
+}
+
+/**
+ * Parse a Shader Log
+ * Reads the errors from a WebGL shader info log.
+ * @param {string} log - The info log
+ * @returns {Array<Object>} - { line, message } per error; line is null when the log does not give one
+ */
+export function parseShaderLog(log) {
+    const errors = log.split('\n')
+        .map(line => line.trim().match(LOG_ERROR_PATTERN))
+        .filter(match => match !== null)
+        .map(match => ({ line: match[1] === '?' ? null : parseInt(match[1], 10), message: match[2] }));
+    // Drivers that use another format still get their log shown
+    return errors.length > 0 || log === '' ? errors : [{ line: null, message: log }];
+}
+
+function expandThreeChunk(name) {
+    return THREE.ShaderChunk[name].split('\n').flatMap((line) => {
+        const match = line.match(THREE_INCLUDE_PATTERN);
+        return match && THREE.ShaderChunk[match[1]] !== undefined ? expandThreeChunk(match[1]) : [line];
+    });
+}
+
+// The material's shader as three.js compiles it, with the origin of every line; three.js chunks
+// count as the line that includes them
+function expandShader(source, map, label) {
+    const lines = [];
+    const origins = [];
+    source.split('\n').forEach((line, index) => {
+        const origin = map && map[index] ? map[index] : { file: label, line: index + 1 };
+        const match = line.match(THREE_INCLUDE_PATTERN);
+        const expanded = match && THREE.ShaderChunk[match[1]] !== undefined ? expandThreeChunk(match[1]) : [line];
+        expanded.forEach((text) => {
+            lines.push(text);
+            origins.push(origin);
+        });
+    });
+    return { lines, origins };
+}
+
+function formatOrigin(origin) {
+    return origin.file === null ? '#define' : `${origin.file}:${origin.line}`;
+}
+
+function formatSnippet(shader, index) {
+    const from = Math.max(index - SNIPPET_LINES, 0);
+    const to = Math.min(index + SNIPPET_LINES + 1, shader.lines.length);
+    const labels = shader.origins.slice(from, to).map(formatOrigin);
+    const width = Math.max(...labels.map(label => label.length));
+    return labels.map((label, offset) => {
+        const marker = from + offset === index ? '>' : ' ';
+        return `${marker} ${label.padEnd(width)}  ${shader.lines[from + offset]}`;
+    }).join('\n');
+}
+
+function describeStage(gl, glShader, stage, material, map) {
+    if (gl.getShaderParameter(glShader, gl.COMPILE_STATUS)) return null;
+
+    const compiled = gl.getShaderSource(glShader);
+    let shader;
+    let offset = 0;
+    if (material) {
+        // three.js puts its prefix (version, defines, uniforms) before the material's shader
+        shader = expandShader(material[`${stage}Shader`], map, `${material.name || material.type}.${stage}`);
+        offset = compiled.split('\n').length - shader.lines.length;
+    } else {
+        shader = expandShader(compiled, null, stage);
+    }
+
+    const errors = parseShaderLog(gl.getShaderInfoLog(glShader).trim()).map((error) => {
+        const index = error.line === null ? -1 : error.line - 1 - offset;
+        const origin = index >= 0 && index < shader.lines.length ? shader.origins[index] : null;
+        return { ...error, index: origin ? index : -1, origin };
+    });
+    if (errors.length === 0) errors.push({ line: null, message: 'compilation failed', index: -1, origin: null });
+
+    const describe = error => (error.origin ? `${formatOrigin(error.origin)}: ${error.message}` : error.message);
+    const located = errors.find(error => error.origin !== null);
+    const first = located || errors[0];
+    const error = new ShaderError(`${stage} shader: ${describe(first)}`, {
+        file: first.origin ? first.origin.file : undefined,
+        line: first.origin ? first.origin.line : undefined
+    });
+    const details = errors.map(describe).join('\n') + (located ? `\n\n${formatSnippet(shader, located.index)}` : '');
+    return { error, details };
+}
+
+/**
+ * Install the Shader Error Handler
+ * Takes over three.js's shader error reporting (renderer.debug.onShaderError). Compile errors are
+ * mapped from the line numbers of the compiled shader, which include the three.js prefix and
+ * chunks, back to the original file and line through the shader library's include resolution.
+ * Each error is logged and, in development builds, shown on the error overlay with the code around
+ * it. The failing material switches to the error shader until its shaders are replaced.
+ * Only materials of the shader library and watched materials (see watchShaderMaterial) can be
+ * mapped and replaced; errors of other materials are reported against the compiled shader.
+ * Errors are only checked while renderer.debug.checkShaderErrors is on, which it is by default.
+ * @param {THREE.WebGLRenderer} renderer - The renderer
+ * @param {Object} options - Handler options
+ * @param {Object} options.library - The shader library the sources were assembled with (default: the shared one)
+ * @returns {function} - Restores the previous handler
+ */
+export function installShaderErrorHandler(renderer, options = {}) {
+    const previous = renderer.debug.onShaderError;
+
+    renderer.debug.onShaderError = (gl, program, glVertexShader, glFragmentShader) => {
+        const library = options.library || getDefaultShaderLibrary();
+        const candidates = Array.from(new Set([...watchedMaterials, ...library.getMaterials()]));
+        const material = candidates.find((candidate) => {
+            const current = renderer.properties.get(candidate).currentProgram;
+            return current !== undefined && current.program === program;
+        }) || null;
+        const maps = material ? library.getSourceMap(material) : { vertex: null, fragment: null };
+
+        const reports = [['vertex', glVertexShader], ['fragment', glFragmentShader]]
+            .map(([stage, glShader]) => describeStage(gl, glShader, stage, material, maps[stage]))
+            .filter(report => report !== null);
+        if (reports.length === 0) {
+            const log = gl.getProgramInfoLog(program).trim();
+            reports.push({ error: new ShaderError(`Shader program failed to link: ${log}`), details: '' });
+        }
+
+        const title = material ? `Shader error in ${material.name || material.type}` : 'Shader error';
+        reports.forEach(report => reportError(report.error, { title, details: report.details }));
+
+        if (material) {
+            // Materials with the same shaders share the failed program
+            candidates
+                .filter(candidate => candidate === material || (
+                    candidate.vertexShader === material.vertexShader && candidate.fragmentShader === material.fragmentShader
+                ))
+                .forEach(candidate => applyErrorShader(candidate, reports[0].error));
+        }
+    };
+
+    return () => {
+        renderer.debug.onShaderError = previous;
+    };
+}
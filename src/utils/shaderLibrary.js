@@ -0,0 +1,491 @@
+import * as THREE from 'three';
+import { getDefaultAssetManager } from './assets.js';
+import { ShaderError } from './errors.js';
+import { reportError } from './errorOverlay.js';
+import { applyErrorShader } from './fallbacks.js';
+import { SHADER_CHUNKS } from './shaderChunks.js';
+
+/**
+ * Shader Path
+ * Where the shader files live: chunk files in chunks/<name>.glsl and the registry in shaders.json.
+ */
+export const SHADER_PATH = 'assets/shaders/';
+
+// #include <name> names a chunk, #include "file.glsl" a path relative to the including file
+const INCLUDE_PATTERN = /^[ \t]*#include[ \t]+(?:<([\w./-]+)>|"([^"]+)")/;
+
+// Assembled shaders remembered for error reporting and tracking, oldest dropped first
+const MAX_SOURCE_MAPS = 256;
+
+let defaultShaderLibrary = null;
+
+// The dev server reports files relative to public/, while URLs may start with ./ or /
+function normalizePath(url) {
+    return url.replace(/^(\.?\/)+/, '');
+}
+
+function joinPath(directory, path) {
+    const parts = [];
+    `${directory}${path}`.split('/').forEach((part) => {
+        if (part === '..') {
+            parts.pop();
+        } else if (part !== '.') {
+            parts.push(part);
+        }
+    });
+    return parts.join('/');
+}
+
+// Same rules as three.js: false leaves the define out, true defines it as true
+function getDefineLines(defines) {
+    return Object.entries(defines)
+        .filter(([, value]) => value !== false)
+        .map(([name, value]) => `#define ${name} ${value}`);
+}
+
+/**
+ * Create a Shader Library
+ * Assembles GLSL from reusable chunks. A source can `#include <name>` a chunk, which is one of
+ * SHADER_CHUNKS, registered with registerChunk or loaded from chunks/<name>.glsl under the shader path, or
+ * `#include "file.glsl"` relative to its own file. Each file is included once per shader, so chunks
+ * can include their own dependencies; includes of three.js chunks (`#include <common>`) are left for
+ * three.js to resolve.
+ * Materials made with createMaterial, and materials passed to track, are kept up to date: update()
+ * swaps a changed file into every material that uses it. In development the Vite plugin in vite.config.js calls it on the default
+ * library when a .glsl file is saved.
+ * The library dispatches 'update' events ({ file, materials }) after a file changed.
+ * @param {Object} options - Library options
+ * @param {string} options.path - Base URL of the shader files (default: SHADER_PATH)
+ * @param {Object} options.assets - Asset manager the files are loaded with (default: the shared one)
+ * @returns {THREE.EventDispatcher} - The shader library
+ */
+export function createShaderLibrary(options = {}) {
+    const basePath = options.path || SHADER_PATH;
+    const assets = options.assets || getDefaultAssetManager();
+
+    // Keyed by URL for files and by <name> for built-in and registered chunks
+    const sources = new Map(Object.entries(SHADER_CHUNKS).map(([name, source]) => [`<${name}>`, source]));
+    const loading = new Map();
+    const shaders = new Map();
+    const records = new Map();
+    // Keyed by assembled source: { map, file, source, defines, dependencies }
+    const assemblies = new Map();
+    let registryPromise = null;
+
+    function getDirectory(file) {
+        if (file.startsWith('<') || !file.includes('/')) return basePath;
+        return file.slice(0, file.lastIndexOf('/') + 1);
+    }
+
+    // The file an #include line refers to, or null when three.js resolves it
+    function getIncludeTarget(match, from) {
+        if (match[2] !== undefined) return joinPath(getDirectory(from), match[2]);
+        const name = match[1];
+        if (sources.has(`<${name}>`)) return `<${name}>`;
+        if (THREE.ShaderChunk[name] !== undefined) return null;
+        return `${basePath}chunks/${name}.glsl`;
+    }
+
+    function getIncludes(source, from) {
+        const includes = [];
+        source.split('\n').forEach((line, index) => {
+            const match = line.match(INCLUDE_PATTERN);
+            const target = match ? getIncludeTarget(match, from) : null;
+            if (target !== null) includes.push({ target, line: index + 1 });
+        });
+        return includes;
+    }
+
+    function loadFile(url) {
+        if (sources.has(url)) return Promise.resolve(sources.get(url));
+        if (!loading.has(url)) {
+            const promise = assets.load(url, { type: 'text' }).then((source) => {
+                sources.set(url, source);
+                return source;
+            });
+            loading.set(url, promise);
+            promise.then(() => loading.delete(url), () => loading.delete(url));
+        }
+        return loading.get(url);
+    }
+
+    // Load every file the source includes, directly or through other chunks
+    async function loadIncludes(source, from, visited = new Set()) {
+        const includes = getIncludes(source, from).filter(include => !visited.has(include.target));
+        includes.forEach(include => visited.add(include.target));
+        await Promise.all(includes.map(async (include) => {
+            let included;
+            try {
+                included = await loadFile(include.target);
+            } catch (error) {
+                throw new ShaderError(`Cannot include "${include.target}" in ${from}:${include.line}: ${error.message}`, {
+                    file: from,
+                    line: include.line,
+                    cause: error
+                });
+            }
+            await loadIncludes(included, include.target, visited);
+        }));
+    }
+
+    function expand(source, from, state) {
+        source.split('\n').forEach((line, index) => {
+            const match = line.match(INCLUDE_PATTERN);
+            const target = match ? getIncludeTarget(match, from) : null;
+            if (target === null) {
+                state.lines.push(line);
+                state.map.push({ file: from, line: index + 1 });
+                return;
+            }
+            if (state.stack.includes(target)) {
+                throw new ShaderError(`Circular #include of "${target}" in ${from}:${index + 1}`, { file: from, line: index + 1 });
+            }
+            if (!sources.has(target)) {
+                throw new ShaderError(`"${target}" included in ${from}:${index + 1} is not loaded`, { file: from, line: index + 1 });
+            }
+            state.dependencies.add(target);
+            if (state.included.has(target)) return;
+            state.included.add(target);
+            state.stack.push(target);
+            expand(sources.get(target), target, state);
+            state.stack.pop();
+        });
+    }
+
+    // Expects the includes to be loaded already
+    function resolveSource(source, from, defines = {}) {
+        const state = { lines: [], map: [], included: new Set(), stack: [from], dependencies: new Set() };
+        expand(source, from, state);
+
+        // Defines go after #version, which has to stay the first line
+        const defineLines = getDefineLines(defines);
+        const at = state.lines.length > 0 && /^\s*#version/.test(state.lines[0]) ? 1 : 0;
+        state.lines.splice(at, 0, ...defineLines);
+        state.map.splice(at, 0, ...defineLines.map(() => ({ file: null, line: 0 })));
+
+        const resolved = state.lines.join('\n');
+        assemblies.delete(resolved);
+        assemblies.set(resolved, { map: state.map, file: from, source, defines, dependencies: state.dependencies });
+        if (assemblies.size > MAX_SOURCE_MAPS) assemblies.delete(assemblies.keys().next().value);
+
+        return { source: resolved, map: state.map, dependencies: Array.from(state.dependencies) };
+    }
+
+    function getDefinition(name) {
+        if (!shaders.has(name)) {
+            throw new ShaderError(`Unknown shader "${name}", expected one of ${Array.from(shaders.keys()).join(', ')}`);
+        }
+        return shaders.get(name);
+    }
+
+    // A shader stage is either a file, looked up on every compile so updates apply, or inline source
+    function getStage(definition, stage, label) {
+        const inline = definition[`${stage}Shader`];
+        if (inline !== undefined) return { file: `${label}.${stage}`, source: inline };
+        if (definition[stage] !== undefined) return { file: joinPath(basePath, definition[stage]), source: null };
+        return null;
+    }
+
+    async function loadStage(stage) {
+        const source = stage.source !== null ? stage.source : await loadFile(stage.file);
+        await loadIncludes(source, stage.file);
+        return source;
+    }
+
+    async function compile(record) {
+        const version = ++record.version;
+        const [vertexSource, fragmentSource] = await Promise.all([
+            record.vertex ? loadStage(record.vertex) : null,
+            record.fragment ? loadStage(record.fragment) : null
+        ]);
+        // A newer compile started while the files were loading
+        if (version !== record.version) return;
+
+        const { material } = record;
+        const dependencies = new Set();
+        [['vertex', vertexSource], ['fragment', fragmentSource]].forEach(([stage, source]) => {
+            if (source === null) return;
+            const resolved = resolveSource(source, record[stage].file, record[stage].defines);
+            material[`${stage}Shader`] = resolved.source;
+            record.maps[stage] = resolved.map;
+            dependencies.add(record[stage].file);
+            resolved.dependencies.forEach(dependency => dependencies.add(dependency));
+        });
+        record.dependencies = dependencies;
+        delete material.userData.shaderError;
+        material.visible = record.visible;
+        material.needsUpdate = true;
+    }
+
+    // Recompile the tracked materials that use a file, or one of the files it replaces
+    function refresh(file, replaced = []) {
+        const files = [file, ...replaced];
+        const affected = Array.from(records.values())
+            .filter(record => files.some(dependency => record.dependencies.has(dependency)));
+        affected.forEach((record) => {
+            compile(record).catch((error) => {
+                reportError(error);
+                applyErrorShader(record.material, error);
+            });
+        });
+        const materials = affected.map(record => record.material);
+        library.dispatchEvent({ type: 'update', file, materials });
+        return materials;
+    }
+
+    const library = Object.assign(new THREE.EventDispatcher(), {
+        path: basePath,
+
+        /**
+         * Register a chunk from source, e.g. one generated in code. It takes precedence over a
+         * chunk file of the same name, and materials that include it are updated.
+         * @param {string} name - The name to #include it by
+         * @param {string} source - The GLSL source
+         * @returns {Object} - The library, for chaining
+         */
+        registerChunk(name, source) {
+            sources.set(`<${name}>`, source);
+            refresh(`<${name}>`, [`${basePath}chunks/${name}.glsl`]);
+            return library;
+        },
+
+        /**
+         * Check whether a chunk is registered or its file is loaded.
+         * @param {string} name - The chunk name
+         * @returns {boolean} - True if the chunk can be included without loading it
+         */
+        hasChunk: name => sources.has(`<${name}>`) || sources.has(`${basePath}chunks/${name}.glsl`),
+
+        /**
+         * Resolve the includes of a source and inject defines.
+         * @param {string} source - The GLSL source
+         * @param {Object} resolveOptions - Resolve options
+         * @param {string} resolveOptions.file - URL or name of the source; quoted includes are relative to it (default: 'inline')
+         * @param {Object} resolveOptions.defines - Defines to insert at the top, as with ShaderMaterial.defines
+         * @returns {Promise<Object>} - { source, map, dependencies }: the assembled source, the { file, line } each of its lines came from, and the included files
+         */
+        async resolve(source, resolveOptions = {}) {
+            const file = resolveOptions.file || 'inline';
+            await loadIncludes(source, file);
+            return resolveSource(source, file, resolveOptions.defines);
+        },
+
+        /**
+         * Load a shader file and resolve its includes.
+         * @param {string} url - The URL of the file
+         * @param {Object} resolveOptions - Options: defines
+         * @returns {Promise<Object>} - { source, map, dependencies }, see resolve
+         */
+        async load(url, resolveOptions = {}) {
+            const source = await loadFile(url);
+            return library.resolve(source, { ...resolveOptions, file: url });
+        },
+
+        /**
+         * Register a shader by name. Stages are given as files relative to the shader path
+         * ({ vertex: 'water.vert' }) or inline ({ vertexShader: '...' }).
+         * @param {string} name - The shader name
+         * @param {Object} definition - { vertex | vertexShader, fragment | fragmentShader, uniforms, defines }
+         * @returns {Object} - The library, for chaining
+         */
+        register(name, definition) {
+            shaders.set(name, { ...definition });
+            return library;
+        },
+
+        has: name => shaders.has(name),
+
+        getNames: () => Array.from(shaders.keys()),
+
+        /**
+         * Load the shader registry, a JSON file of the form
+         * { "shaders": { "water": { "vertex": "water.vert", "fragment": "water.frag", "defines": { "WAVES": 4 } } } }
+         * @param {string} url - The registry URL (default: shaders.json under the shader path)
+         * @returns {Promise<Array<string>>} - The registered shader names
+         */
+        async loadRegistry(url = `${basePath}shaders.json`) {
+            const registry = await assets.load(url, { type: 'json' });
+            Object.entries(registry.shaders || {}).forEach(([name, definition]) => library.register(name, definition));
+            return Object.keys(registry.shaders || {});
+        },
+
+        /**
+         * Create a Shader Material
+         * The material is returned right away and stays invisible until its files and chunks are
+         * loaded, or shows the error shader if they fail to. It is kept up to date when one of them
+         * changes, until it is disposed.
+         * @param {string|Object} shader - A registered shader name (the registry is loaded when needed), or a definition as for register, e.g. { vertexShader, fragmentShader } with #include lines
+         * @param {Object} parameters - ShaderMaterial parameters; uniforms and defines are merged over the shader's own
+         * @param {function} parameters.onLoad - Called with the material when it is ready
+         * @param {function} parameters.onError - Called with the error when a file fails to load or resolve
+         * @returns {THREE.ShaderMaterial} - The material
+         */
+        createMaterial(shader, parameters = {}) {
+            const { onLoad = () => {}, onError = () => {}, uniforms = {}, defines = {}, ...materialParameters } = parameters;
+            const named = typeof shader === 'string';
+            const label = named ? shader : shader.name || 'inline';
+
+            const material = new THREE.ShaderMaterial(materialParameters);
+            material.name = materialParameters.name || label;
+            const record = {
+                material,
+                vertex: null,
+                fragment: null,
+                maps: { vertex: null, fragment: null },
+                dependencies: new Set(),
+                visible: material.visible,
+                version: 0
+            };
+            material.visible = false;
+            records.set(material, record);
+            material.addEventListener('dispose', () => records.delete(material));
+
+            const setup = (definition) => {
+                material.uniforms = { ...THREE.UniformsUtils.clone(definition.uniforms || {}), ...uniforms };
+                material.defines = { ...definition.defines, ...defines };
+                record.vertex = getStage(definition, 'vertex', label);
+                record.fragment = getStage(definition, 'fragment', label);
+            };
+
+            let ready;
+            if (!named) {
+                setup(shader);
+                ready = compile(record);
+            } else if (shaders.has(shader)) {
+                setup(shaders.get(shader));
+                ready = compile(record);
+            } else {
+                if (!registryPromise) registryPromise = library.loadRegistry();
+                ready = registryPromise.then(() => {
+                    setup(getDefinition(shader));
+                    return compile(record);
+                });
+            }
+            ready.then(() => onLoad(material), (error) => {
+                onError(error);
+                reportError(error);
+                applyErrorShader(material, error);
+            });
+
+            return material;
+        },
+
+        getMaterials: () => Array.from(records.keys()),
+
+        /**
+         * Where each line of a material's assembled shaders came from. Besides the materials of
+         * createMaterial this works for any material whose shaders were assembled by the library,
+         * e.g. with loadCustomShader.
+         * @param {THREE.ShaderMaterial} material - The material
+         * @returns {Object} - { vertex, fragment } arrays of { file, line }, each null when the shader was not assembled here
+         */
+        getSourceMap(material) {
+            const record = records.get(material);
+            if (record) return record.maps;
+            return {
+                vertex: library.findSourceMap(material.vertexShader),
+                fragment: library.findSourceMap(material.fragmentShader)
+            };
+        },
+
+        /**
+         * Where each line of an assembled shader came from.
+         * @param {string} source - A source returned by resolve or load
+         * @returns {Array<Object>|null} - { file, line } per line, or null when it was not assembled here
+         */
+        findSourceMap: source => (assemblies.has(source) ? assemblies.get(source).map : null),
+
+        /**
+         * Keep a material whose shaders were assembled here up to date, like the materials of
+         * createMaterial, e.g. one made from the shaders of loadCustomShader. Shaders that were not
+         * assembled by the library are left alone.
+         * @param {THREE.ShaderMaterial} material - The material
+         * @returns {THREE.ShaderMaterial} - The material
+         */
+        track(material) {
+            if (records.has(material)) return material;
+            const vertex = assemblies.get(material.vertexShader);
+            const fragment = assemblies.get(material.fragmentShader);
+            if (!vertex && !fragment) return material;
+
+            // Files are read again on every compile so updates apply; inline sources are kept
+            const getTrackedStage = assembly => (assembly ? {
+                file: assembly.file,
+                source: sources.has(assembly.file) ? null : assembly.source,
+                defines: assembly.defines
+            } : null);
+            const dependencies = new Set();
+            [vertex, fragment].filter(Boolean).forEach((assembly) => {
+                dependencies.add(assembly.file);
+                assembly.dependencies.forEach(dependency => dependencies.add(dependency));
+            });
+            records.set(material, {
+                material,
+                vertex: getTrackedStage(vertex),
+                fragment: getTrackedStage(fragment),
+                maps: { vertex: vertex ? vertex.map : null, fragment: fragment ? fragment.map : null },
+                dependencies,
+                visible: material.visible,
+                version: 0
+            });
+            material.addEventListener('dispose', () => records.delete(material));
+            return material;
+        },
+
+        /**
+         * Replace a file or chunk and recompile the materials that use it.
+         * @param {string} url - The file URL, or <name> for a registered chunk
+         * @param {string} source - The new source
+         * @returns {Array<THREE.ShaderMaterial>} - The materials that are updated
+         */
+        update(url, source) {
+            const path = normalizePath(url);
+            const file = Array.from(sources.keys()).find(key => normalizePath(key) === path);
+            if (file === undefined) return [];
+            sources.set(file, source);
+            // Later loads outside the library get the new file as well
+            if (assets.has(file)) assets.release(file);
+            return refresh(file);
+        },
+
+        dispose() {
+            records.clear();
+            assemblies.clear();
+            sources.clear();
+            shaders.clear();
+        }
+    });
+
+    return library;
+}
+
+/**
+ * Get the Default Shader Library
+ * The shared shader library used by loadCustomShader and hot reloading, created on first use.
+ * @returns {Object} - The shared shader library
+ */
+export function getDefaultShaderLibrary() {
+    if (!defaultShaderLibrary) {
+        defaultShaderLibrary = createShaderLibrary();
+    }
+    return defaultShaderLibrary;
+}
+
+// Sent by the shader plugin in vite.config.js when a .glsl file under public/ is saved
+if (import.meta.hot) {
+    import.meta.hot.on('shader-update', ({ file, source }) => {
+        if (defaultShaderLibrary) defaultShaderLibrary.update(file, source);
+    });
+
+    // Edited built-in chunks are swapped in like chunk files
+    let currentChunks = SHADER_CHUNKS;
+    import.meta.hot.accept('./shaderChunks.js', (module) => {
+        if (!module) return;
+        Object.entries(module.SHADER_CHUNKS)
+            .filter(([name, source]) => currentChunks[name] !== source)
+            .forEach(([name, source]) => {
+                if (defaultShaderLibrary) defaultShaderLibrary.update(`<${name}>`, source);
+            });
+        currentChunks = module.SHADER_CHUNKS;
+    });
+}
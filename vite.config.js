@@ -0,0 +1,31 @@
+import path from 'node:path';
+import { defineConfig } from 'vite';
+
+const SHADER_EXTENSIONS = /\.(glsl|vert|frag|vs|fs)$/;
+
+/**
+ * Shader Hot Reload
+ * Files under public/ are not modules, so saving one would do nothing. For shader files this sends
+ * the new source to the page instead, where the shader library swaps it into the live materials.
+ * @returns {Object} - The Vite plugin
+ */
+function shaderHotReload() {
+    let publicDir = '';
+    return {
+        name: 'shader-hot-reload',
+        apply: 'serve',
+        configResolved(config) {
+            publicDir = config.publicDir;
+        },
+        async handleHotUpdate({ file, server, read }) {
+            if (!publicDir || !SHADER_EXTENSIONS.test(file) || !file.startsWith(publicDir)) return undefined;
+            const url = path.relative(publicDir, file).split(path.sep).join('/');
+            server.ws.send({ type: 'custom', event: 'shader-update', data: { file: url, source: await read() } });
+            return [];
+        }
+    };
+}
+
+export default defineConfig({
+    plugins: [shaderHotReload()]
+});